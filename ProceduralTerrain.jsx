@@ -1,380 +1,174 @@
-import React, { useMemo, useRef, useEffect, useState } from 'react';
+import React, {
+  useMemo,
+  useRef,
+  useEffect,
+  useLayoutEffect,
+  useState,
+  useContext,
+  createContext,
+  forwardRef,
+  useImperativeHandle,
+} from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
-import { OrbitControls, Grid, Html } from '@react-three/drei';
+import { OrbitControls, Grid, Html, Line } from '@react-three/drei';
 import * as THREE from 'three';
+import {
+  SeededRNG,
+  SeededNoise,
+  BIOMES,
+  BIOME_TYPES,
+  colorToCSS,
+  resolveBiome,
+  createBiome,
+  registerBiome,
+  biomeToJSON,
+  biomeFromJSON,
+  onBiomesChanged,
+  NOISE_TYPES,
+  registerNoiseType,
+  getVertexColor as getVertexRGB,
+  generateHeightfield,
+  resolveWater,
+  getSurfaceColors,
+  createWorldConfig,
+  chunkOrigin,
+  worldToChunk,
+  ChunkCache,
+  DEFAULT_LOD_BANDS,
+  selectLodResolution,
+  buildSkirtedMesh,
+  exportTerrain,
+  GENERATOR_VERSION,
+  createWorldDescriptor,
+  readWorldDescriptor,
+  verifyWorld,
+  serializeWorld,
+  encodeWorldHash,
+  decodeWorldHash,
+  saveWorldToStorage,
+  loadWorldFromStorage,
+  decodeHeightmap,
+  SCULPT_TOOLS,
+  DEFAULT_BRUSH,
+  SculptLayer,
+  sampleBaseHeight,
+  applySculpt,
+  blendSurfaces,
+  LivingTerrain,
+  TerrainSampler,
+  computeAmbientOcclusion,
+  traceContours,
+  POI_TYPES,
+  registerPoiType,
+  findPointsOfInterest,
+  TerrainNavigator,
+  applyRoads,
+  createHeightfieldCollider,
+  scatterObjects,
+  TerrainWorkerPool,
+  getSharedWorkerPool,
+} from './TerrainCore';
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SEEDED PRNG - Mulberry32 algorithm for deterministic randomness
+// HEIGHTFIELD -> THREE.BufferGeometry
 // ═══════════════════════════════════════════════════════════════════════════════
-class SeededRNG {
-  constructor(seed) {
-    this.seed = this.hashString(seed);
-    this.state = this.seed;
-  }
-
-  hashString(str) {
-    if (typeof str === 'number') return str >>> 0;
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash) || 1;
-  }
-
-  next() {
-    let t = this.state += 0x6D2B79F5;
-    t = Math.imul(t ^ t >>> 15, t | 1);
-    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-    return ((t ^ t >>> 14) >>> 0) / 4294967296;
-  }
-
-  range(min, max) {
-    return min + this.next() * (max - min);
+// `occlusion` (from computeAmbientOcclusion) is baked into the vertex colours;
+// skirt vertices keep their colour
+function createTerrainGeometry(field, skirtDepth = 0, occlusion = null) {
+  const mesh = skirtDepth > 0 ? buildSkirtedMesh(field, skirtDepth) : field;
+  let colors = mesh.colors;
+  if (occlusion) {
+    colors = new Float32Array(mesh.colors);
+    for (let i = 0; i < occlusion.length * 3; i++) colors[i] *= occlusion[Math.floor(i / 3)];
   }
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(mesh.positions, 3));
+  geo.setAttribute('normal', new THREE.BufferAttribute(mesh.normals, 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geo.setIndex(new THREE.BufferAttribute(mesh.index, 1));
+  geo.computeBoundingSphere();
+  return geo;
+}
 
-  reset() {
-    this.state = this.seed;
-  }
+// getVertexColor as it was before TerrainCore: a THREE.Color (written into
+// `out` when given) for a biome key or config. TerrainCore's own version
+// returns plain 0-1 { r, g, b } and never touches Three.js.
+function getVertexColor(height, biome, out = new THREE.Color(), surface = null) {
+  return getVertexRGB(height, resolveBiome(biome), out, surface);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SIMPLEX NOISE - Seeded implementation for coherent terrain
+// HEIGHTFIELD HOOK - Worker-backed generation that keeps the last result
 // ═══════════════════════════════════════════════════════════════════════════════
-class SeededNoise {
-  constructor(rng) {
-    this.perm = new Uint8Array(512);
-    this.permMod12 = new Uint8Array(512);
-    
-    const p = new Uint8Array(256);
-    for (let i = 0; i < 256; i++) p[i] = i;
-    
-    // Fisher-Yates shuffle with seeded RNG
-    for (let i = 255; i > 0; i--) {
-      const j = Math.floor(rng.next() * (i + 1));
-      [p[i], p[j]] = [p[j], p[i]];
-    }
-    
-    for (let i = 0; i < 512; i++) {
-      this.perm[i] = p[i & 255];
-      this.permMod12[i] = this.perm[i] % 12;
-    }
-    
-    this.grad3 = [
-      [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
-      [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
-      [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
-    ];
-    
-    this.F2 = 0.5 * (Math.sqrt(3) - 1);
-    this.G2 = (3 - Math.sqrt(3)) / 6;
-  }
-
-  noise2D(xin, yin) {
-    const { perm, permMod12, grad3, F2, G2 } = this;
-    let n0, n1, n2;
-    
-    const s = (xin + yin) * F2;
-    const i = Math.floor(xin + s);
-    const j = Math.floor(yin + s);
-    const t = (i + j) * G2;
-    const X0 = i - t;
-    const Y0 = j - t;
-    const x0 = xin - X0;
-    const y0 = yin - Y0;
-    
-    let i1, j1;
-    if (x0 > y0) { i1 = 1; j1 = 0; }
-    else { i1 = 0; j1 = 1; }
-    
-    const x1 = x0 - i1 + G2;
-    const y1 = y0 - j1 + G2;
-    const x2 = x0 - 1 + 2 * G2;
-    const y2 = y0 - 1 + 2 * G2;
-    
-    const ii = i & 255;
-    const jj = j & 255;
-    const gi0 = permMod12[ii + perm[jj]];
-    const gi1 = permMod12[ii + i1 + perm[jj + j1]];
-    const gi2 = permMod12[ii + 1 + perm[jj + 1]];
-    
-    let t0 = 0.5 - x0*x0 - y0*y0;
-    if (t0 < 0) n0 = 0;
-    else {
-      t0 *= t0;
-      n0 = t0 * t0 * (grad3[gi0][0]*x0 + grad3[gi0][1]*y0);
-    }
-    
-    let t1 = 0.5 - x1*x1 - y1*y1;
-    if (t1 < 0) n1 = 0;
-    else {
-      t1 *= t1;
-      n1 = t1 * t1 * (grad3[gi1][0]*x1 + grad3[gi1][1]*y1);
-    }
-    
-    let t2 = 0.5 - x2*x2 - y2*y2;
-    if (t2 < 0) n2 = 0;
-    else {
-      t2 *= t2;
-      n2 = t2 * t2 * (grad3[gi2][0]*x2 + grad3[gi2][1]*y2);
-    }
-    
-    return 70 * (n0 + n1 + n2);
-  }
-
-  fractalNoise(x, y, octaves = 4, lacunarity = 2, persistence = 0.5) {
-    let total = 0;
-    let frequency = 1;
-    let amplitude = 1;
-    let maxValue = 0;
-    
-    for (let i = 0; i < octaves; i++) {
-      total += this.noise2D(x * frequency, y * frequency) * amplitude;
-      maxValue += amplitude;
-      amplitude *= persistence;
-      frequency *= lacunarity;
-    }
-    
-    return total / maxValue;
-  }
+function useHeightfield(options, deps, useWorkers = true) {
+  const pool = useWorkers && TerrainWorkerPool.isSupported() ? getSharedWorkerPool() : null;
+  
+  const syncField = useMemo(() => (pool ? null : generateHeightfield(options)), [pool, ...deps]);
+  const [asyncField, setAsyncField] = useState(null);
+  
+  // Previous terrain stays on screen until the new one arrives; a newer
+  // request cancels the stale job
+  useEffect(() => {
+    if (!pool) return undefined;
+    const job = pool.generate(options);
+    job.promise.then(setAsyncField, (error) => {
+      if (error.name !== 'AbortError') console.error(error);
+    });
+    return job.cancel;
+  }, [pool, ...deps]);
+  
+  return pool ? asyncField : syncField;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// BIOME CONFIGURATIONS - SVGA-style color palettes
+// TERRAIN SURFACE - Solid + wireframe meshes for one geometry
 // ═══════════════════════════════════════════════════════════════════════════════
-const BIOMES = {
-  grassland: {
-    name: 'Grassland',
-    heightScale: 8,
-    noiseScale: 0.08,
-    octaves: 4,
-    colors: {
-      deep:   new THREE.Color(0x1a472a),  // Dark forest green
-      low:    new THREE.Color(0x2d5a27),  // Forest floor
-      mid:    new THREE.Color(0x4a7c23),  // Grass green
-      high:   new THREE.Color(0x7cb342),  // Light grass
-      peak:   new THREE.Color(0xa5d64a),  // Bright meadow
-    },
-    wireColor: new THREE.Color(0x1b5e20),
-    thresholds: { deep: -0.3, low: 0, mid: 0.3, high: 0.6 }
-  },
-  
-  desert: {
-    name: 'Desert',
-    heightScale: 6,
-    noiseScale: 0.06,
-    octaves: 3,
-    colors: {
-      deep:   new THREE.Color(0x8b4513),  // Saddle brown (rocky)
-      low:    new THREE.Color(0xc19a6b),  // Desert sand
-      mid:    new THREE.Color(0xd4a574),  // Warm sand
-      high:   new THREE.Color(0xe6c99a),  // Light dune
-      peak:   new THREE.Color(0xfae5c3),  // Bright sand peak
-    },
-    wireColor: new THREE.Color(0x8b5a2b),
-    thresholds: { deep: -0.4, low: -0.1, mid: 0.2, high: 0.5 }
-  },
-  
-  tundra: {
-    name: 'Tundra',
-    heightScale: 5,
-    noiseScale: 0.05,
-    octaves: 5,
-    colors: {
-      deep:   new THREE.Color(0x2f4f4f),  // Dark slate
-      low:    new THREE.Color(0x607d8b),  // Blue grey
-      mid:    new THREE.Color(0x90a4ae),  // Permafrost
-      high:   new THREE.Color(0xb0bec5),  // Light frost
-      peak:   new THREE.Color(0xeceff1),  // Snow
-    },
-    wireColor: new THREE.Color(0x455a64),
-    thresholds: { deep: -0.35, low: -0.05, mid: 0.25, high: 0.55 }
-  },
-  
-  volcanic: {
-    name: 'Volcanic',
-    heightScale: 12,
-    noiseScale: 0.07,
-    octaves: 4,
-    colors: {
-      deep:   new THREE.Color(0x1a1a1a),  // Obsidian black
-      low:    new THREE.Color(0x3d2817),  // Scorched earth
-      mid:    new THREE.Color(0x5d4037),  // Volcanic rock
-      high:   new THREE.Color(0xbf360c),  // Molten orange
-      peak:   new THREE.Color(0xff5722),  // Lava glow
-    },
-    wireColor: new THREE.Color(0xff3d00),
-    thresholds: { deep: -0.4, low: -0.1, mid: 0.3, high: 0.7 }
-  },
-  
-  ocean: {
-    name: 'Ocean Floor',
-    heightScale: 15,
-    noiseScale: 0.04,
-    octaves: 5,
-    colors: {
-      deep:   new THREE.Color(0x0d1b2a),  // Abyss
-      low:    new THREE.Color(0x1b3a4b),  // Deep ocean
-      mid:    new THREE.Color(0x2e6171),  // Mid depth
-      high:   new THREE.Color(0x4a8fa8),  // Shallow
-      peak:   new THREE.Color(0x7ec8e3),  // Near surface
-    },
-    wireColor: new THREE.Color(0x0077b6),
-    thresholds: { deep: -0.5, low: -0.2, mid: 0.1, high: 0.4 }
-  },
-  
-  alien: {
-    name: 'Alien World',
-    heightScale: 10,
-    noiseScale: 0.09,
-    octaves: 4,
-    colors: {
-      deep:   new THREE.Color(0x1a0033),  // Deep purple void
-      low:    new THREE.Color(0x4a0080),  // Alien rock
-      mid:    new THREE.Color(0x7b1fa2),  // Crystal purple
-      high:   new THREE.Color(0x00e676),  // Bioluminescent
-      peak:   new THREE.Color(0x76ff03),  // Bright bio
-    },
-    wireColor: new THREE.Color(0x00c853),
-    thresholds: { deep: -0.35, low: 0, mid: 0.35, high: 0.65 }
-  },
-  
-  canyon: {
-    name: 'Canyon',
-    heightScale: 18,
-    noiseScale: 0.05,
-    octaves: 6,
-    colors: {
-      deep:   new THREE.Color(0x3e2723),  // Canyon floor
-      low:    new THREE.Color(0x6d4c41),  // Lower rock
-      mid:    new THREE.Color(0xa1887f),  // Sandstone
-      high:   new THREE.Color(0xd7ccc8),  // Upper layers
-      peak:   new THREE.Color(0xff8a65),  // Sun-kissed rim
-    },
-    wireColor: new THREE.Color(0x795548),
-    thresholds: { deep: -0.4, low: -0.15, mid: 0.2, high: 0.55 }
-  },
-  
-  marsh: {
-    name: 'Marshland',
-    heightScale: 3,
-    noiseScale: 0.1,
-    octaves: 5,
-    colors: {
-      deep:   new THREE.Color(0x1b3022),  // Deep water
-      low:    new THREE.Color(0x2e4a3a),  // Murky water
-      mid:    new THREE.Color(0x4a6741),  // Wet grass
-      high:   new THREE.Color(0x6b8e4e),  // Reed green
-      peak:   new THREE.Color(0x8bc34a),  // Bright vegetation
-    },
-    wireColor: new THREE.Color(0x33691e),
-    thresholds: { deep: -0.25, low: 0.05, mid: 0.25, high: 0.5 }
-  }
-};
+const SHADING_MODES = ['unlit', 'flat', 'smooth'];
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// HEIGHT-TO-COLOR INTERPOLATION (SVGA vertex coloring)
-// ═══════════════════════════════════════════════════════════════════════════════
-function getVertexColor(height, biome) {
-  const { colors, thresholds } = biome;
-  const h = height;
-  
-  // Determine which color band and interpolate
-  if (h < thresholds.deep) {
-    return colors.deep.clone();
-  } else if (h < thresholds.low) {
-    const t = (h - thresholds.deep) / (thresholds.low - thresholds.deep);
-    return colors.deep.clone().lerp(colors.low, t);
-  } else if (h < thresholds.mid) {
-    const t = (h - thresholds.low) / (thresholds.mid - thresholds.low);
-    return colors.low.clone().lerp(colors.mid, t);
-  } else if (h < thresholds.high) {
-    const t = (h - thresholds.mid) / (thresholds.high - thresholds.mid);
-    return colors.mid.clone().lerp(colors.high, t);
-  } else {
-    const t = Math.min((h - thresholds.high) / (1 - thresholds.high), 1);
-    return colors.high.clone().lerp(colors.peak, t);
-  }
+// 'unlit' is the original SVGA look; 'flat' and 'smooth' respond to the scene
+// lights, per face or through the heightfield's vertex normals
+function SurfaceMaterial({ shading = 'unlit', ...props }) {
+  if (shading === 'unlit') return <meshBasicMaterial {...props} />;
+  
+  // Keyed so switching modes recompiles the shader; callers also key on
+  // shadows, which need a recompile when toggled
+  return (
+    <meshStandardMaterial
+      key={shading}
+      roughness={1}
+      metalness={0}
+      flatShading={shading === 'flat'}
+      {...props}
+    />
+  );
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// TERRAIN MESH COMPONENT
-// ═══════════════════════════════════════════════════════════════════════════════
-function TerrainMesh({ 
-  seed, 
-  biomeType, 
-  resolution = 64, 
-  size = 50,
+function TerrainSurface({
+  geometry,
+  biome,
   wireframe = true,
   showSolid = true,
   wireframeOpacity = 0.8,
   solidOpacity = 0.9,
+  shading = 'unlit',
+  shadows = false,
   position = [0, 0, 0]
 }) {
   const meshRef = useRef();
   const wireRef = useRef();
   
-  const biome = BIOMES[biomeType] || BIOMES.grassland;
-  
-  const { geometry, heightMap } = useMemo(() => {
-    const rng = new SeededRNG(seed);
-    const noise = new SeededNoise(rng);
-    
-    const geo = new THREE.PlaneGeometry(size, size, resolution, resolution);
-    geo.rotateX(-Math.PI / 2);
-    
-    const positions = geo.attributes.position.array;
-    const colors = new Float32Array(positions.length);
-    const heights = [];
-    
-    const vertexCount = (resolution + 1) * (resolution + 1);
-    
-    for (let i = 0; i < vertexCount; i++) {
-      const x = positions[i * 3];
-      const z = positions[i * 3 + 2];
-      
-      // Multi-octave noise for terrain height
-      const nx = x * biome.noiseScale;
-      const nz = z * biome.noiseScale;
-      
-      let height = noise.fractalNoise(nx, nz, biome.octaves, 2.0, 0.5);
-      
-      // Add some variation based on biome
-      const detail = noise.noise2D(nx * 3, nz * 3) * 0.15;
-      height = height + detail;
-      
-      // Clamp and scale
-      height = Math.max(-1, Math.min(1, height));
-      heights.push(height);
-      
-      // Apply height to Y position
-      positions[i * 3 + 1] = height * biome.heightScale;
-      
-      // Calculate vertex color based on height
-      const color = getVertexColor(height, biome);
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
-    }
-    
-    geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    geo.computeVertexNormals();
-    
-    return { geometry: geo, heightMap: heights };
-  }, [seed, biomeType, resolution, size]);
-  
   return (
     <group position={position}>
       {/* Solid terrain with vertex colors */}
       {showSolid && (
-        <mesh ref={meshRef} geometry={geometry}>
-          <meshBasicMaterial 
+        <mesh ref={meshRef} geometry={geometry} castShadow={shadows} receiveShadow={shadows}>
+          <SurfaceMaterial
+            key={shadows ? 'shadowed' : 'plain'}
+            shading={shading}
             vertexColors 
             side={THREE.DoubleSide}
             transparent
             opacity={solidOpacity}
-            flatShading
           />
         </mesh>
       )}
@@ -394,65 +188,1090 @@ function TerrainMesh({
   );
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// WATER SURFACE - Flat sea level plane from the biome's water config
+// ═══════════════════════════════════════════════════════════════════════════════
+function WaterSurface({ biome, size, center = [0, 0], position = [0, 0, 0] }) {
+  const water = resolveWater(biome);
+  if (!water) return null;
+  
+  const y = water.level * biome.heightScale;
+  
+  return (
+    <group position={position}>
+      <mesh position={[center[0], y, center[1]]} rotation={[-Math.PI / 2, 0, 0]}>
+        <planeGeometry args={[size, size]} />
+        <meshBasicMaterial
+          color={water.color}
+          transparent
+          opacity={water.opacity}
+          side={THREE.DoubleSide}
+          depthWrite={false}
+        />
+      </mesh>
+      
+      {water.wireframe && (
+        <mesh position={[center[0], y + 0.01, center[1]]} rotation={[-Math.PI / 2, 0, 0]}>
+          <planeGeometry args={[size, size, 16, 16]} />
+          <meshBasicMaterial color={water.wireColor} wireframe transparent opacity={0.5} />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCATTER - Low-poly instanced props from the biome's scatter rules
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Each part is [geometry, y offset, shade]; shade darkens trunks and stems
+// through vertex colours, which multiply with the per-rule instance colour
+const SCATTER_MODELS = {
+  pine: () => [
+    [new THREE.CylinderGeometry(0.08, 0.1, 0.4, 5), 0.2, 0.45],
+    [new THREE.ConeGeometry(0.55, 1.4, 6), 1.05, 1],
+    [new THREE.ConeGeometry(0.38, 0.9, 6), 1.6, 1.15],
+  ],
+  tree: () => [
+    [new THREE.CylinderGeometry(0.1, 0.13, 0.7, 5), 0.35, 0.45],
+    [new THREE.IcosahedronGeometry(0.65, 0), 1.1, 1],
+  ],
+  rock: () => [
+    [new THREE.DodecahedronGeometry(0.5, 0).scale(1, 0.6, 1), 0.15, 1],
+  ],
+  cactus: () => [
+    [new THREE.CylinderGeometry(0.15, 0.18, 1.4, 6), 0.7, 1],
+    [new THREE.CylinderGeometry(0.09, 0.09, 0.5, 5).translate(0.3, 0, 0), 0.95, 0.9],
+    [new THREE.CylinderGeometry(0.09, 0.09, 0.4, 5).translate(-0.28, 0, 0), 0.7, 0.9],
+  ],
+  crystal: () => [
+    [new THREE.OctahedronGeometry(0.3, 0).scale(1, 3, 1), 0.85, 1],
+    [new THREE.OctahedronGeometry(0.18, 0).scale(1, 3, 1).rotateZ(0.5).translate(0.25, 0, 0), 0.45, 0.8],
+  ],
+  shard: () => [
+    [new THREE.ConeGeometry(0.3, 1.2, 4), 0.6, 1],
+  ],
+  mushroom: () => [
+    [new THREE.CylinderGeometry(0.1, 0.14, 0.6, 6), 0.3, 1.6],
+    [new THREE.ConeGeometry(0.5, 0.4, 7), 0.75, 1],
+  ],
+  coral: () => [
+    [new THREE.CylinderGeometry(0.06, 0.1, 1, 5), 0.5, 1],
+    [new THREE.CylinderGeometry(0.05, 0.08, 0.7, 5).rotateZ(0.6).translate(0.2, 0, 0), 0.55, 0.85],
+    [new THREE.CylinderGeometry(0.05, 0.08, 0.6, 5).rotateZ(-0.7).translate(-0.18, 0, 0), 0.45, 0.85],
+  ],
+  reeds: () => [
+    [new THREE.ConeGeometry(0.05, 1.2, 3).translate(0.1, 0, 0), 0.6, 1],
+    [new THREE.ConeGeometry(0.05, 0.9, 3).translate(-0.12, 0, 0.05), 0.45, 0.85],
+    [new THREE.ConeGeometry(0.05, 1, 3).translate(0, 0, -0.12), 0.5, 1.1],
+  ],
+};
+
+const scatterGeometries = {};
+
+// Parts merged into one non-indexed geometry, built once per model and shared;
+// unknown models render as rocks
+function getScatterGeometry(model) {
+  const key = SCATTER_MODELS[model] ? model : 'rock';
+  if (scatterGeometries[key]) return scatterGeometries[key];
+  
+  const parts = SCATTER_MODELS[key]().map(([part, y, shade]) => {
+    // Polyhedra are already non-indexed
+    const flat = (part.index ? part.toNonIndexed() : part).translate(0, y, 0);
+    part.dispose();
+    return [flat.getAttribute('position').array, shade];
+  });
+  const count = parts.reduce((total, [array]) => total + array.length, 0);
+  const positions = new Float32Array(count);
+  const colors = new Float32Array(count);
+  let offset = 0;
+  for (const [array, shade] of parts) {
+    positions.set(array, offset);
+    colors.fill(shade, offset, offset + array.length);
+    offset += array.length;
+  }
+  
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geo.computeVertexNormals();
+  geo.computeBoundingSphere();
+  scatterGeometries[key] = geo;
+  return geo;
+}
+
+// One instanced draw per rule. With a sampler, instances are re-seated on
+// that surface so props follow sculpt edits without being re-scattered.
+function ScatterInstances({ group, sampler, shading = 'unlit', shadows = false, position = [0, 0, 0] }) {
+  const meshRef = useRef();
+  const glowRef = useRef();
+  const geometry = getScatterGeometry(group.model);
+  
+  useLayoutEffect(() => {
+    const matrix = new THREE.Matrix4();
+    const rotation = new THREE.Quaternion();
+    const up = new THREE.Vector3(0, 1, 0);
+    const point = new THREE.Vector3();
+    const scale = new THREE.Vector3();
+    
+    for (let i = 0; i < group.count; i++) {
+      const x = group.positions[i * 3];
+      const z = group.positions[i * 3 + 2];
+      const y = (sampler && sampler.getHeightAt(x, z)) ?? group.positions[i * 3 + 1];
+      point.set(x, y, z);
+      rotation.setFromAxisAngle(up, group.rotations[i]);
+      scale.setScalar(group.scales[i]);
+      meshRef.current.setMatrixAt(i, matrix.compose(point, rotation, scale));
+      if (glowRef.current) {
+        scale.multiplyScalar(1.15);
+        glowRef.current.setMatrixAt(i, matrix.compose(point, rotation, scale));
+      }
+    }
+    meshRef.current.instanceMatrix.needsUpdate = true;
+    if (glowRef.current) glowRef.current.instanceMatrix.needsUpdate = true;
+  }, [group, sampler]);
+  
+  if (!group.count) return null;
+  
+  // Instance bounds are not tracked, so culling is left off
+  return (
+    <group position={position}>
+      <instancedMesh
+        ref={meshRef}
+        args={[geometry, undefined, group.count]}
+        frustumCulled={false}
+        castShadow={shadows}
+        receiveShadow={shadows}
+      >
+        <SurfaceMaterial
+          key={shadows ? 'shadowed' : 'plain'}
+          shading={shading === 'unlit' ? 'unlit' : 'flat'}
+          color={group.color}
+          vertexColors
+        />
+      </instancedMesh>
+      {group.glow && (
+        <instancedMesh ref={glowRef} args={[geometry, undefined, group.count]} frustumCulled={false}>
+          <meshBasicMaterial
+            color={group.color}
+            wireframe
+            transparent
+            opacity={0.6}
+            blending={THREE.AdditiveBlending}
+            depthWrite={false}
+          />
+        </instancedMesh>
+      )}
+    </group>
+  );
+}
+
+function ScatterLayer({ groups, sampler = null, shading, shadows, position }) {
+  return groups.map((group, i) => (
+    <ScatterInstances
+      key={`${group.biome}_${group.model}_${i}_${group.count}`}
+      group={group}
+      sampler={sampler}
+      shading={shading}
+      shadows={shadows}
+      position={position}
+    />
+  ));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONTOUR LINES - Glowing isolines draped over the terrain
+// ═══════════════════════════════════════════════════════════════════════════════
+const CONTOUR_LIFT = 0.05;  // World units above the surface, against z-fighting
+
+// `true`, an interval, or traceContours options plus `labels: false`
+function resolveContourOptions(contours) {
+  if (contours === true) return {};
+  return typeof contours === 'number' ? { interval: contours } : contours;
+}
+
+// Isolines in the biome's wireColor: minor lines thin and dim, major lines
+// heavier with a soft halo and elevation labels
+function ContourLines({ field, contours = true, position = [0, 0, 0] }) {
+  const options = resolveContourOptions(contours);
+  const optionsKey = JSON.stringify(options);
+  const levels = useMemo(() => traceContours(field, options), [field, optionsKey]);
+  const { heightScale, wireColor } = field.biome;
+  
+  const lines = useMemo(() => {
+    const minor = [];
+    const major = [];
+    for (const { level, major: isMajor, segments } of levels) {
+      const y = level * heightScale + CONTOUR_LIFT;
+      const points = isMajor ? major : minor;
+      for (let i = 0; i < segments.length; i += 2) points.push([segments[i], y, segments[i + 1]]);
+    }
+    return { minor, major };
+  }, [levels, heightScale]);
+  
+  return (
+    <group position={position}>
+      {lines.minor.length > 0 && (
+        <Line points={lines.minor} segments color={wireColor} lineWidth={1} transparent opacity={0.45} toneMapped={false} />
+      )}
+      {lines.major.length > 0 && (
+        <>
+          <Line points={lines.major} segments color={wireColor} lineWidth={6} transparent opacity={0.15} toneMapped={false} />
+          <Line points={lines.major} segments color={wireColor} lineWidth={2} transparent opacity={0.95} toneMapped={false} />
+        </>
+      )}
+      {options.labels !== false && levels.filter((l) => l.major).map(({ level, elevation, labels }) => labels.map(([x, z], i) => (
+        <Html
+          key={`${level}_${i}`}
+          position={[x, level * heightScale + CONTOUR_LIFT * 4, z]}
+          center
+          style={{
+            pointerEvents: 'none',
+            color: wireColor,
+            font: '9px "IBM Plex Mono", "Courier New", monospace',
+            textShadow: `0 0 4px ${wireColor}`,
+            whiteSpace: 'nowrap',
+          }}
+        >
+          {elevation.toFixed(1)}
+        </Html>
+      )))}
+    </group>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// POINTS OF INTEREST - Billboard markers for ranked terrain sites
+// ═══════════════════════════════════════════════════════════════════════════════
+const POI_POLE = 2;  // Marker pole height in world units
+
+// `true` or findPointsOfInterest options plus `labels: false`
+function resolvePoiOptions(pointsOfInterest) {
+  return pointsOfInterest === true ? {} : pointsOfInterest;
+}
+
+const poiStyle = (type) => POI_TYPES[type] || { color: '#fff', glyph: '●' };
+
+// Minimap markers (see TerrainMinimap) for findPointsOfInterest sites
+function poiMarkers(sites) {
+  return sites.map(({ type, position: [x, , z] }) => ({
+    position: [x, z],
+    color: poiStyle(type).color,
+    label: poiStyle(type).glyph,
+  }));
+}
+
+// A pole in the type's colour over each site, topped by a label
+function PoiMarkers({ sites, labels = true, position = [0, 0, 0] }) {
+  return (
+    <group position={position}>
+      {sites.map(({ type, rank, position: [x, y, z] }) => {
+        const { color, glyph } = poiStyle(type);
+        return (
+          <group key={`${type}_${rank}`} position={[x, y, z]}>
+            <Line points={[[0, 0, 0], [0, POI_POLE, 0]]} color={color} lineWidth={2} toneMapped={false} />
+            {labels && (
+              <Html
+                position={[0, POI_POLE, 0]}
+                center
+                style={{
+                  pointerEvents: 'none',
+                  color,
+                  font: '10px "IBM Plex Mono", "Courier New", monospace',
+                  textShadow: `0 0 4px ${color}`,
+                  whiteSpace: 'nowrap',
+                  transform: 'translateY(-8px)',
+                }}
+              >
+                {glyph} {type.toUpperCase()} {rank}
+              </Html>
+            )}
+          </group>
+        );
+      })}
+    </group>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCULPTING - Brush dabs raycast onto the terrain, stored in a SculptLayer
+// ═══════════════════════════════════════════════════════════════════════════════
+function BrushCursor({ point, radius, color }) {
+  return (
+    <mesh position={[point.x, point.y + 0.05, point.z]} rotation={[-Math.PI / 2, 0, 0]} renderOrder={1}>
+      <ringGeometry args={[radius * 0.94, radius, 48]} />
+      <meshBasicMaterial color={color} transparent opacity={0.8} depthTest={false} />
+    </mesh>
+  );
+}
+
+// Pointer handlers that turn drags into strokes on `sculpt`. `onChange` runs
+// after every dab, `onStroke` once a stroke (one undo step) is finished.
+function useSculptBrush({ sculpt, brush, baseField, position = [0, 0, 0], onChange, onStroke }) {
+  const [hover, setHover] = useState(null);
+  const drawing = useRef(false);
+  
+  const dab = (point) => {
+    sculpt.applyBrush(point.x - position[0], point.z - position[2], brush, (x, z) => sampleBaseHeight(baseField, x, z));
+    onChange();
+  };
+  
+  const finish = () => {
+    if (!drawing.current) return;
+    drawing.current = false;
+    sculpt.endStroke();
+    if (onStroke) onStroke(sculpt);
+  };
+  
+  // Strokes also end when the button is released off the terrain
+  useEffect(() => {
+    if (!brush) return undefined;
+    window.addEventListener('pointerup', finish);
+    return () => window.removeEventListener('pointerup', finish);
+  }, [brush, sculpt]);
+  
+  if (!brush || !sculpt || !baseField) return { handlers: {}, hover: null };
+  
+  return {
+    hover,
+    handlers: {
+      onPointerDown: (e) => {
+        if (e.button !== 0) return;
+        e.stopPropagation();
+        drawing.current = true;
+        sculpt.beginStroke();
+        dab(e.point);
+      },
+      onPointerMove: (e) => {
+        setHover(e.point.clone());
+        if (drawing.current) dab(e.point);
+      },
+      onPointerUp: finish,
+      onPointerOut: () => setHover(null),
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ANIMATION - Morphs between terrains and living, time-evolving noise
+// ═══════════════════════════════════════════════════════════════════════════════
+const DEFAULT_MORPH_DURATION = 1.5;  // Seconds
+
+// `true`, a duration in seconds, or { duration }; 0 turns morphing off
+function resolveMorphDuration(morph) {
+  if (morph === true) return DEFAULT_MORPH_DURATION;
+  if (typeof morph === 'number') return morph;
+  return morph ? morph.duration ?? DEFAULT_MORPH_DURATION : 0;
+}
+
+const easeInOut = (t) => t * t * (3 - 2 * t);
+
+const surfaceArrays = (geometry) => ({
+  positions: geometry.attributes.position.array,
+  colors: geometry.attributes.color.array,
+  normals: geometry.attributes.normal.array,
+});
+
+// Geometry to draw in place of `geometry`: the geometry itself unless
+// `morph` or `living` is set, otherwise a copy whose attributes are rewritten
+// in place every frame. A new `generation` (a regenerated terrain, not a
+// sculpt edit) at the same resolution eases from what is on screen to the new
+// terrain; `living` runs the field through LivingTerrain. `occlusion` is
+// re-applied to living colours.
+function useAnimatedGeometry(geometry, field, { morph = false, living = false, occlusion = null, generation = null }) {
+  const duration = resolveMorphDuration(morph);
+  const animated = !!geometry && (duration > 0 || !!living);
+  const livingKey = JSON.stringify(living);
+  const evolving = useMemo(
+    () => (living && field ? new LivingTerrain(field, living) : null),
+    [field, livingKey]
+  );
+  
+  const state = useRef({ display: null, from: null, start: null, dirty: false, generation: null });
+  const display = useMemo(() => {
+    const s = state.current;
+    if (!animated) {
+      s.display = null;
+      return null;
+    }
+    const size = geometry.attributes.position.array.length;
+    if (s.display && s.display.attributes.position.array.length === size) {
+      // Same vertex count: morph from the current frame to the new terrain
+      if (duration > 0 && s.generation !== null && s.generation !== generation) {
+        const current = surfaceArrays(s.display);
+        s.from = {
+          positions: new Float32Array(current.positions),
+          colors: new Float32Array(current.colors),
+          normals: new Float32Array(current.normals),
+        };
+        s.start = null;
+      }
+    } else {
+      s.display = geometry.clone();
+      s.from = null;
+    }
+    s.generation = generation;
+    s.dirty = true;
+    return s.display;
+  }, [animated, geometry, livingKey]);
+  
+  useEffect(() => () => display && display.dispose(), [display]);
+  
+  useFrame(({ clock }) => {
+    const s = state.current;
+    if (!display || (!evolving && !s.from && !s.dirty)) return;
+    const now = clock.elapsedTime;
+    
+    let target = surfaceArrays(geometry);
+    if (evolving) {
+      target = evolving.update(now);
+      if (occlusion) {
+        for (let i = 0; i < occlusion.length * 3; i++) target.colors[i] *= occlusion[Math.floor(i / 3)];
+      }
+    }
+    let t = 1;
+    if (s.from && duration > 0) {
+      if (s.start === null) s.start = now;
+      t = easeInOut(Math.min(1, (now - s.start) / duration));
+    }
+    blendSurfaces(s.from || target, target, t, surfaceArrays(display));
+    if (t >= 1) s.from = null;
+    s.dirty = false;
+    
+    display.attributes.position.needsUpdate = true;
+    display.attributes.color.needsUpdate = true;
+    display.attributes.normal.needsUpdate = true;
+    display.computeBoundingSphere();
+  });
+  
+  return display || geometry;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TERRAIN MESH COMPONENT
+// ═══════════════════════════════════════════════════════════════════════════════
+function TerrainMesh({ 
+  seed, 
+  biomeType, 
+  resolution = 64, 
+  size = 50,
+  world = null,
+  heightmap = null,
+  erosion,
+  rivers,
+  generator,
+  sculpt = null,
+  brush = null,
+  showWater = true,
+  showScatter = false,
+  contours = false,
+  roads = null,
+  morph = false,
+  living = false,
+  ambientOcclusion = false,
+  useWorkers = true,
+  onGenerated = null,
+  onSculpt = null,
+  ...surfaceProps
+}) {
+  // Heightmaps are compared by identity; memoize them in the caller
+  const generated = useHeightfield(
+    { seed, biome: biomeType, world, heightmap, resolution, size, erosion, rivers, generator },
+    [seed, biomeType, JSON.stringify(world), heightmap, resolution, size, JSON.stringify(erosion), JSON.stringify(rivers), generator],
+    useWorkers
+  );
+  
+  // Roads are levelled into the base, so sculpting and props build on them
+  const roadsKey = JSON.stringify(roads);
+  const baseField = useMemo(
+    () => (generated && roads ? applyRoads(generated, roads) : generated),
+    [generated, roadsKey]
+  );
+  
+  // Edits are layered over the generated field on the main thread, so a
+  // brush dab never waits for noise, erosion or rivers
+  const [, setRevision] = useState(0);
+  const version = sculpt ? sculpt.version : 0;
+  const field = useMemo(
+    () => (baseField && sculpt && !sculpt.isEmpty ? applySculpt(baseField, sculpt) : baseField),
+    [baseField, sculpt, version]
+  );
+  
+  const { handlers, hover } = useSculptBrush({
+    sculpt,
+    brush,
+    baseField,
+    position: surfaceProps.position,
+    onChange: () => setRevision((r) => r + 1),
+    onStroke: onSculpt,
+  });
+  
+  // Hand the finished heightfield out, e.g. for exporting
+  useEffect(() => {
+    if (field && onGenerated) onGenerated(field);
+  }, [field]);
+  
+  // `true` or computeAmbientOcclusion options
+  const aoKey = JSON.stringify(ambientOcclusion);
+  const occlusion = useMemo(
+    () => (field && ambientOcclusion ? computeAmbientOcclusion(field, ambientOcclusion === true ? {} : ambientOcclusion) : null),
+    [field, aoKey]
+  );
+  
+  const geometry = useMemo(() => field && createTerrainGeometry(field, 0, occlusion), [field, occlusion]);
+  
+  // Release GPU buffers when the terrain is regenerated or unmounted
+  useEffect(() => () => geometry && geometry.dispose(), [geometry]);
+  
+  // Regenerated terrain morphs in; sculpt edits land immediately
+  const shownGeometry = useAnimatedGeometry(geometry, field, { morph, living, occlusion, generation: baseField });
+  
+  // Props are placed once per generated field and re-seated on sculpted ground
+  const scatter = useMemo(
+    () => (showScatter && baseField ? scatterObjects(baseField) : null),
+    [showScatter, baseField]
+  );
+  const scatterSampler = useMemo(
+    () => (scatter && field !== baseField ? new TerrainSampler(field) : null),
+    [scatter, field, baseField]
+  );
+  
+  if (!geometry) return null;
+  
+  // Biome comes from the field so colours always match the displayed terrain
+  return (
+    <>
+      <group {...handlers}>
+        <TerrainSurface geometry={shownGeometry} biome={field.biome} {...surfaceProps} />
+      </group>
+      {hover && (
+        <BrushCursor point={hover} radius={brush.radius ?? DEFAULT_BRUSH.radius} color={field.biome.wireColor} />
+      )}
+      {scatter && (
+        <ScatterLayer
+          groups={scatter}
+          sampler={scatterSampler}
+          shading={surfaceProps.shading}
+          shadows={surfaceProps.shadows}
+          position={surfaceProps.position}
+        />
+      )}
+      {contours && <ContourLines field={field} contours={contours} position={surfaceProps.position} />}
+      {showWater && (
+        <WaterSurface biome={field.biome} size={field.size} position={surfaceProps.position} />
+      )}
+    </>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CHUNKED TERRAIN - Infinite world streamed around the camera
+// ═══════════════════════════════════════════════════════════════════════════════
+const sharedChunkCache = new ChunkCache();
+
+function TerrainChunk({
+  seed,
+  biomeType,
+  world,
+  chunkX,
+  chunkZ,
+  chunkSize,
+  resolution,
+  skirtDepth,
+  showWater,
+  showScatter,
+  cache,
+  useWorkers,
+  ...surfaceProps
+}) {
+  const pool = useWorkers && TerrainWorkerPool.isSupported() ? getSharedWorkerPool() : null;
+  const request = { seed, biome: biomeType, world, chunkX, chunkZ, chunkSize, resolution };
+  const deps = [seed, biomeType, JSON.stringify(world), chunkX, chunkZ, chunkSize, resolution, cache];
+  
+  // Cache hits show at once; misses generate on the worker pool, or inline
+  // when there are no workers
+  const cached = useMemo(() => (pool ? cache.peek(request) : cache.get(request)), [pool, ...deps]);
+  const [loaded, setLoaded] = useState(null);
+  
+  useEffect(() => {
+    if (cached) return undefined;
+    const job = cache.load(request, pool);
+    job.promise.then(setLoaded, (error) => {
+      if (error.name !== 'AbortError') console.error(error);
+    });
+    return job.cancel;
+  }, [cached, ...deps]);
+  
+  // Until the worker delivers, keep this chunk's previous field (e.g. the
+  // last LOD) or any cached resolution of it; a brand new chunk stays empty
+  const fallback = useMemo(() => (cached || loaded ? null : cache.peekAnyResolution(request)), [cached, loaded, ...deps]);
+  const field = cached || loaded || fallback;
+  
+  // Chunk data is cached; only the lightweight BufferGeometry wrapper is rebuilt
+  const geometry = useMemo(() => field && createTerrainGeometry(field, skirtDepth), [field, skirtDepth]);
+  
+  useEffect(() => () => geometry && geometry.dispose(), [geometry]);
+  
+  // Scatter tiles are anchored in world space, so props line up across chunks
+  const scatter = useMemo(() => (showScatter && field ? scatterObjects(field) : null), [showScatter, field]);
+  
+  if (!field) return null;
+  const biome = field.biome;
+  
+  return (
+    <>
+      <TerrainSurface geometry={geometry} biome={biome} {...surfaceProps} />
+      {scatter && <ScatterLayer groups={scatter} shading={surfaceProps.shading} shadows={surfaceProps.shadows} />}
+      {showWater && (
+        <WaterSurface biome={biome} size={chunkSize} center={chunkOrigin(chunkX, chunkZ, chunkSize)} />
+      )}
+    </>
+  );
+}
+
+export function ChunkedTerrain({
+  seed = 'default-terrain-seed',
+  biome = 'grassland',
+  world = null,
+  chunkSize = 50,
+  resolution = 32,
+  lodBands = null,
+  skirtDepth = null,
+  showWater = true,
+  showScatter = false,
+  viewRadius = 2,
+  cache = sharedChunkCache,
+  useWorkers = true,
+  onChunksChanged = null,
+  ...surfaceProps
+}) {
+  const [center, setCenter] = useState([0, 0]);
+  
+  // Track which chunk the active camera is over
+  useFrame(({ camera }) => {
+    const [cx, cz] = worldToChunk(camera.position.x, camera.position.z, chunkSize);
+    if (cx !== center[0] || cz !== center[1]) setCenter([cx, cz]);
+  });
+  
+  // Chunks within a circular radius of the camera's chunk, each with its LOD
+  const chunks = useMemo(() => {
+    const list = [];
+    for (let dz = -viewRadius; dz <= viewRadius; dz++) {
+      for (let dx = -viewRadius; dx <= viewRadius; dx++) {
+        if (dx * dx + dz * dz > viewRadius * viewRadius + viewRadius) continue;
+        const distance = Math.sqrt(dx * dx + dz * dz) * chunkSize;
+        const lod = lodBands ? selectLodResolution(distance, lodBands) : resolution;
+        list.push([center[0] + dx, center[1] + dz, lod]);
+      }
+    }
+    return list;
+  }, [center, viewRadius, chunkSize, resolution, lodBands]);
+  
+  // Skirts are only needed where neighbouring resolutions can differ
+  const config = world ? createWorldConfig(world) : resolveBiome(biome);
+  const skirt = skirtDepth ?? (lodBands ? config.heightScale * 0.5 : 0);
+  
+  useEffect(() => {
+    if (onChunksChanged) onChunksChanged({ center, chunks });
+  }, [center, chunks, onChunksChanged]);
+  
+  return (
+    <group>
+      {chunks.map(([chunkX, chunkZ, lod]) => (
+        <TerrainChunk
+          key={`${chunkX}_${chunkZ}`}
+          seed={seed}
+          biomeType={biome}
+          world={world}
+          chunkX={chunkX}
+          chunkZ={chunkZ}
+          chunkSize={chunkSize}
+          resolution={lod}
+          skirtDepth={skirt}
+          showWater={showWater}
+          showScatter={showScatter}
+          cache={cache}
+          useWorkers={useWorkers}
+          {...surfaceProps}
+        />
+      ))}
+    </group>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MINIMAP - Live camera frustum, click-to-navigate, zoom and pan
+// ═══════════════════════════════════════════════════════════════════════════════
+const MINIMAP_FAR = 150;         // Frustum rays that miss the ground stop here
+const MINIMAP_ZOOM = [1 / 8, 8]; // Map span limits as multiples of `size`
+const NDC_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+// Publishes the scene's camera and default controls (OrbitControls with
+// `makeDefault`) to `navigation.current`, for a TerrainMinimap outside the Canvas
+export function NavigationLink({ navigation }) {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+  useEffect(() => {
+    navigation.current = { camera, controls };
+    return () => { navigation.current = null; };
+  }, [navigation, camera, controls]);
+  return null;
+}
+
+// Bakes terrain colours into a canvas, one pixel per sample, with optional
+// contour lines (see resolveContourOptions). Topographic maps dim the colours
+// and draw the lines in the biome's wireColor with elevation labels.
+function paintMinimap(field, contours, topographic) {
+  const side = field.resolution + 1;
+  const canvas = document.createElement('canvas');
+  canvas.width = side;
+  canvas.height = side;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(side, side);
+  const colors = getSurfaceColors(field);
+  const shade = topographic ? 0.35 * 255 : 255;
+  
+  for (let i = 0; i < side * side; i++) {
+    const idx = i * 4;
+    imageData.data[idx] = Math.floor(colors[i * 3] * shade);
+    imageData.data[idx + 1] = Math.floor(colors[i * 3 + 1] * shade);
+    imageData.data[idx + 2] = Math.floor(colors[i * 3 + 2] * shade);
+    imageData.data[idx + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+  if (!contours) return canvas;
+  
+  // World to pixel centres: sample i sits at the middle of pixel i
+  const step = field.size / field.resolution;
+  const left = field.origin[0] - field.size / 2;
+  const top = field.origin[1] - field.size / 2;
+  const px = (x) => (x - left) / step + 0.5;
+  const pz = (z) => (z - top) / step + 0.5;
+  const options = resolveContourOptions(contours);
+  const lineColor = topographic ? field.biome.wireColor : '#000';
+  
+  for (const { major, segments, labels, elevation } of traceContours(field, options)) {
+    ctx.strokeStyle = lineColor;
+    ctx.globalAlpha = major ? 0.9 : topographic ? 0.45 : 0.3;
+    ctx.lineWidth = major ? 1.5 : 1;
+    ctx.beginPath();
+    for (let i = 0; i < segments.length; i += 4) {
+      ctx.moveTo(px(segments[i]), pz(segments[i + 1]));
+      ctx.lineTo(px(segments[i + 2]), pz(segments[i + 3]));
+    }
+    ctx.stroke();
+    
+    if (topographic && options.labels !== false) {
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = lineColor;
+      ctx.font = '7px monospace';
+      for (const [x, z] of labels) ctx.fillText(elevation.toFixed(0), px(x) + 2, pz(z) - 2);
+    }
+  }
+  ctx.globalAlpha = 1;
+  return canvas;
+}
+
+// Top-down map of the terrain around `view`. With a `navigation` ref (see
+// NavigationLink) it draws the camera and its view frustum every frame, and
+// left click/drag moves the orbit target there. Wheel zooms, right- or
+// shift-drag pans, and `follow` recentres the map on the target as it moves,
+// for chunked or otherwise unbounded worlds. `topographic` switches the map
+// to dimmed colours under wireColor contour lines, and `roads` (a paved
+// field's `roads`, see applyRoads) are drawn over the terrain.
+export function TerrainMinimap({
+  seed,
+  biome,
+  world = null,
+  heightmap = null,
+  erosion,
+  rivers,
+  generator,
+  sculpt = null,
+  useWorkers = true,
+  size = 50,
+  mapSize = 120,
+  navigation = null,
+  contours = false,
+  topographic = false,
+  roads = null,
+  markers = [],
+  follow = false,
+  borderColor = null,
+}) {
+  const canvasRef = useRef(null);
+  const markersRef = useRef(markers);
+  markersRef.current = markers;
+  const roadsRef = useRef(roads);
+  roadsRef.current = roads;
+  const [view, setView] = useState({ center: [0, 0], span: size });
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  
+  useEffect(() => setView({ center: [0, 0], span: size }), [size]);
+  
+  // Regenerate the map only once panning or zooming settles
+  const [sampledView, setSampledView] = useState(view);
+  useEffect(() => {
+    const timer = setTimeout(() => setSampledView(view), 150);
+    return () => clearTimeout(timer);
+  }, [view]);
+  
+  const baseField = useHeightfield(
+    {
+      seed,
+      biome,
+      world,
+      heightmap,
+      resolution: mapSize - 1,
+      size: sampledView.span,
+      origin: sampledView.center,
+      erosion,
+      rivers,
+      generator,
+    },
+    [seed, biome, JSON.stringify(world), heightmap, mapSize, sampledView, JSON.stringify(erosion), JSON.stringify(rivers), generator],
+    useWorkers
+  );
+  const version = sculpt ? sculpt.version : 0;
+  const field = useMemo(
+    () => (baseField && sculpt && !sculpt.isEmpty ? applySculpt(baseField, sculpt) : baseField),
+    [baseField, sculpt, version]
+  );
+  const contoursKey = JSON.stringify(contours);
+  const image = useMemo(() => field && paintMinimap(field, contours, topographic), [field, contoursKey, topographic]);
+  
+  // Map pixel <-> world position for the current view
+  const toWorld = (u, v) => {
+    const { center, span } = viewRef.current;
+    return [center[0] + (u / mapSize - 0.5) * span, center[1] + (v / mapSize - 0.5) * span];
+  };
+  
+  const navigateTo = (x, z) => {
+    const rig = navigation && navigation.current;
+    if (!rig || !rig.controls) return;
+    const { camera, controls } = rig;
+    const dx = x - controls.target.x;
+    const dz = z - controls.target.z;
+    controls.target.x += dx;
+    controls.target.z += dz;
+    camera.position.x += dx;
+    camera.position.z += dz;
+    controls.update();
+  };
+  
+  // Redrawn every frame so the camera and frustum track the 3D view
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    canvas.width = mapSize;
+    canvas.height = mapSize;
+    const ctx = canvas.getContext('2d');
+    const ray = new THREE.Vector3();
+    let frame;
+    
+    const draw = () => {
+      frame = requestAnimationFrame(draw);
+      const { center, span } = viewRef.current;
+      const scale = mapSize / span;
+      const toMap = (x, z) => [(x - center[0]) * scale + mapSize / 2, (z - center[1]) * scale + mapSize / 2];
+      
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, mapSize, mapSize);
+      if (image && field) {
+        // The baked image covers the field's own window; stretch it onto the view
+        const [left, top] = toMap(field.origin[0] - field.size / 2, field.origin[1] - field.size / 2);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(image, left, top, field.size * scale, field.size * scale);
+      }
+      
+      const paved = roadsRef.current;
+      if (paved) {
+        ctx.strokeStyle = paved.color;
+        ctx.lineWidth = Math.max(1, paved.width * 2 * scale);
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        for (const { points } of paved.paths) {
+          points.forEach(([x, , z], k) => {
+            const [mx, mz] = toMap(x, z);
+            if (k) ctx.lineTo(mx, mz);
+            else ctx.moveTo(mx, mz);
+          });
+        }
+        ctx.stroke();
+      }
+      
+      for (const { position: [x, z], color = '#fff', label } of markersRef.current) {
+        const [mx, mz] = toMap(x, z);
+        ctx.fillStyle = color;
+        ctx.fillRect(Math.round(mx) - 2, Math.round(mz) - 2, 4, 4);
+        if (label) {
+          ctx.font = '8px monospace';
+          ctx.fillText(label, mx + 4, mz + 3);
+        }
+      }
+      
+      const rig = navigation && navigation.current;
+      if (rig && rig.camera) {
+        const { camera, controls } = rig;
+        const groundY = controls ? controls.target.y : 0;
+        camera.updateMatrixWorld();
+        
+        // Where the four corner rays of the view meet the ground
+        ctx.beginPath();
+        NDC_CORNERS.forEach(([nx, ny], i) => {
+          ray.set(nx, ny, 0.5).unproject(camera).sub(camera.position).normalize();
+          const t = ray.y < -1e-3 ? Math.min((groundY - camera.position.y) / ray.y, MINIMAP_FAR) : MINIMAP_FAR;
+          const [mx, mz] = toMap(camera.position.x + ray.x * t, camera.position.z + ray.z * t);
+          if (i === 0) ctx.moveTo(mx, mz);
+          else ctx.lineTo(mx, mz);
+        });
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(255,255,255,0.12)';
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        const [cx, cz] = toMap(camera.position.x, camera.position.z);
+        ctx.fillStyle = '#ff0';
+        ctx.fillRect(Math.round(cx) - 2, Math.round(cz) - 2, 5, 5);
+        
+        if (controls) {
+          const [tx, tz] = toMap(controls.target.x, controls.target.z);
+          ctx.strokeStyle = '#ff0';
+          ctx.strokeRect(Math.round(tx) - 3.5, Math.round(tz) - 3.5, 7, 7);
+          
+          // Keep the target inside the middle half of the map
+          if (follow && Math.max(Math.abs(tx - mapSize / 2), Math.abs(tz - mapSize / 2)) > mapSize / 4) {
+            setView((v) => ({ ...v, center: [controls.target.x, controls.target.z] }));
+          }
+        }
+      }
+      
+      // Scanline effect for SVGA feel
+      ctx.fillStyle = 'rgba(0,0,0,0.1)';
+      for (let i = 0; i < mapSize; i += 2) {
+        ctx.fillRect(0, i, mapSize, 1);
+      }
+      
+      ctx.strokeStyle = borderColor || (field ? field.biome.wireColor : '#0f0');
+      ctx.lineWidth = 2;
+      ctx.strokeRect(0, 0, mapSize, mapSize);
+    };
+    draw();
+    return () => cancelAnimationFrame(frame);
+  }, [image, field, mapSize, navigation, follow, borderColor]);
+  
+  // Wheel zoom about the cursor; a native listener so the page doesn't scroll
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      const u = (e.clientX - rect.left) / rect.width;
+      const v = (e.clientY - rect.top) / rect.height;
+      setView(({ center, span }) => {
+        const next = Math.min(size * MINIMAP_ZOOM[1], Math.max(size * MINIMAP_ZOOM[0], span * Math.exp(e.deltaY * 0.002)));
+        // The world point under the cursor stays put
+        return {
+          span: next,
+          center: [center[0] + (u - 0.5) * (span - next), center[1] + (v - 0.5) * (span - next)],
+        };
+      });
+    };
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', onWheel);
+  }, [size]);
+  
+  const drag = useRef(null);
+  
+  const pixelAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [(e.clientX - rect.left) / rect.width * mapSize, (e.clientY - rect.top) / rect.height * mapSize];
+  };
+  
+  const onPointerDown = (e) => {
+    const pan = e.button === 2 || e.shiftKey;
+    if (e.button !== 0 && !pan) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const [u, v] = pixelAt(e);
+    drag.current = { pan, u, v };
+    if (!pan) navigateTo(...toWorld(u, v));
+  };
+  
+  const onPointerMove = (e) => {
+    if (!drag.current) return;
+    const [u, v] = pixelAt(e);
+    if (drag.current.pan) {
+      const { span } = viewRef.current;
+      const du = (u - drag.current.u) / mapSize * span;
+      const dv = (v - drag.current.v) / mapSize * span;
+      setView((view) => ({ ...view, center: [view.center[0] - du, view.center[1] - dv] }));
+      drag.current = { ...drag.current, u, v };
+    } else {
+      navigateTo(...toWorld(u, v));
+    }
+  };
+  
+  const onPointerUp = (e) => {
+    drag.current = null;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+  };
+  
+  return (
+    <canvas
+      ref={canvasRef}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onContextMenu={(e) => e.preventDefault()}
+      onDoubleClick={() => setView({ center: [0, 0], span: size })}
+      style={{
+        display: 'block',
+        imageRendering: 'pixelated',
+        cursor: navigation ? 'crosshair' : 'default',
+        touchAction: 'none',
+      }}
+    />
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // FABRIC.JS 2D OVERLAY COMPONENT
 // ═══════════════════════════════════════════════════════════════════════════════
 function TerrainOverlay({ 
   seed, 
   biomeType, 
+  size = 50,
+  world = null,
+  heightmap = null,
+  erosion,
+  rivers,
+  generator,
+  sculpt = null,
+  useWorkers = true,
+  navigation = null,
+  minimapContours = false,
+  topographic = false,
+  roads = null,
+  markers = [],
   showMinimap = true,
   showLegend = true,
   showCoords = true 
 }) {
-  const canvasRef = useRef(null);
-  const biome = BIOMES[biomeType] || BIOMES.grassland;
+  const biome = world ? createWorldConfig(world) : resolveBiome(biomeType);
   
-  useEffect(() => {
-    if (!canvasRef.current || !showMinimap) return;
-    
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    const size = 120;
-    canvas.width = size;
-    canvas.height = size;
-    
-    // Generate minimap from seed
-    const rng = new SeededRNG(seed);
-    const noise = new SeededNoise(rng);
-    
-    const imageData = ctx.createImageData(size, size);
-    
-    for (let y = 0; y < size; y++) {
-      for (let x = 0; x < size; x++) {
-        const nx = (x / size - 0.5) * 2 * biome.noiseScale * 50;
-        const ny = (y / size - 0.5) * 2 * biome.noiseScale * 50;
-        
-        let height = noise.fractalNoise(nx, ny, biome.octaves, 2.0, 0.5);
-        height = Math.max(-1, Math.min(1, height));
-        
-        const color = getVertexColor(height, biome);
-        const idx = (y * size + x) * 4;
-        imageData.data[idx] = Math.floor(color.r * 255);
-        imageData.data[idx + 1] = Math.floor(color.g * 255);
-        imageData.data[idx + 2] = Math.floor(color.b * 255);
-        imageData.data[idx + 3] = 255;
-      }
-    }
-    
-    ctx.putImageData(imageData, 0, 0);
-    
-    // Add scanline effect for SVGA feel
-    ctx.fillStyle = 'rgba(0,0,0,0.1)';
-    for (let i = 0; i < size; i += 2) {
-      ctx.fillRect(0, i, size, 1);
-    }
-    
-    // Border
-    ctx.strokeStyle = biome.wireColor.getStyle();
-    ctx.lineWidth = 2;
-    ctx.strokeRect(0, 0, size, size);
-    
-  }, [seed, biomeType, showMinimap]);
+  // Legend lists member biomes in world mode, elevation bands and named
+  // colour rules otherwise
+  const rules = (biome.colorRules || []).filter((rule) => rule.name);
+  const legend = biome.world
+    ? biome.world.biomes.map((b) => [b.name, b.colors.mid])
+    : [
+      ...Object.entries(biome.colors),
+      ...rules.map((rule) => [rule.name, rule.color ?? rule.bands.colors[0]]),
+    ];
   
   return (
     <div style={{
@@ -473,11 +1292,27 @@ function TerrainOverlay({
         <div style={{
           background: 'rgba(0,0,0,0.85)',
           padding: 8,
-          border: `1px solid ${biome.wireColor.getStyle()}`,
-          boxShadow: `0 0 10px ${biome.wireColor.getStyle()}40`,
+          border: `1px solid ${biome.wireColor}`,
+          boxShadow: `0 0 10px ${biome.wireColor}40`,
         }}>
           <div style={{ marginBottom: 6, letterSpacing: 2 }}>◈ TERRAIN MAP</div>
-          <canvas ref={canvasRef} style={{ display: 'block', imageRendering: 'pixelated' }} />
+          <TerrainMinimap
+            seed={seed}
+            biome={biomeType}
+            world={world}
+            heightmap={heightmap}
+            erosion={erosion}
+            rivers={rivers}
+            generator={generator}
+            sculpt={sculpt}
+            useWorkers={useWorkers}
+            size={size}
+            navigation={navigation}
+            contours={minimapContours}
+            topographic={topographic}
+            roads={roads}
+            markers={markers}
+          />
         </div>
       )}
       
@@ -486,17 +1321,19 @@ function TerrainOverlay({
         <div style={{
           background: 'rgba(0,0,0,0.85)',
           padding: 8,
-          border: `1px solid ${biome.wireColor.getStyle()}`,
-          boxShadow: `0 0 10px ${biome.wireColor.getStyle()}40`,
+          border: `1px solid ${biome.wireColor}`,
+          boxShadow: `0 0 10px ${biome.wireColor}40`,
         }}>
-          <div style={{ marginBottom: 6, letterSpacing: 2 }}>◈ ELEVATION</div>
+          <div style={{ marginBottom: 6, letterSpacing: 2 }}>
+            ◈ {biome.world ? 'BIOMES' : rules.length ? 'SURFACE' : 'ELEVATION'}
+          </div>
           <div style={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
-            {Object.entries(biome.colors).map(([key, color]) => (
-              <div key={key} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+            {legend.map(([key, color], i) => (
+              <div key={`${key}_${i}`} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                 <div style={{
                   width: 16,
                   height: 8,
-                  background: color.getStyle(),
+                  background: colorToCSS(color),
                   border: '1px solid rgba(255,255,255,0.3)'
                 }} />
                 <span style={{ textTransform: 'uppercase' }}>{key}</span>
@@ -511,8 +1348,8 @@ function TerrainOverlay({
         <div style={{
           background: 'rgba(0,0,0,0.85)',
           padding: 8,
-          border: `1px solid ${biome.wireColor.getStyle()}`,
-          boxShadow: `0 0 10px ${biome.wireColor.getStyle()}40`,
+          border: `1px solid ${biome.wireColor}`,
+          boxShadow: `0 0 10px ${biome.wireColor}40`,
         }}>
           <div style={{ marginBottom: 4, letterSpacing: 2 }}>◈ SYSTEM</div>
           <div>SEED: {typeof seed === 'string' ? seed.substring(0, 12) : seed}</div>
@@ -527,36 +1364,108 @@ function TerrainOverlay({
 // ═══════════════════════════════════════════════════════════════════════════════
 // SCENE CONTROLS & CAMERA
 // ═══════════════════════════════════════════════════════════════════════════════
-function SceneSetup({ ambientIntensity = 0.6 }) {
+// The sun shines from `sunDirection` towards the origin; its shadow camera
+// covers `shadowExtent` world units either side of the centre
+function SceneSetup({
+  ambientIntensity = 0.6,
+  sunDirection = [2, 2, 1],
+  sunIntensity = 1,
+  shadows = false,
+  shadowExtent = 40,
+  enableRotate = true,
+  navigation = null,
+}) {
+  const sun = useMemo(
+    () => new THREE.Vector3(...sunDirection).normalize().multiplyScalar(shadowExtent * 2).toArray(),
+    [...sunDirection, shadowExtent]
+  );
+  
   return (
     <>
       <ambientLight intensity={ambientIntensity} />
-      <directionalLight position={[50, 50, 25]} intensity={0.5} />
+      <directionalLight
+        position={sun}
+        intensity={sunIntensity}
+        castShadow={shadows}
+        shadow-mapSize={[2048, 2048]}
+        shadow-bias={-0.0005}
+        shadow-camera-left={-shadowExtent}
+        shadow-camera-right={shadowExtent}
+        shadow-camera-top={shadowExtent}
+        shadow-camera-bottom={-shadowExtent}
+        shadow-camera-far={shadowExtent * 4}
+      />
       <OrbitControls 
+        makeDefault
         enableDamping 
+        enableRotate={enableRotate}
         dampingFactor={0.05}
         maxPolarAngle={Math.PI / 2.1}
         minDistance={10}
         maxDistance={150}
       />
+      {navigation && <NavigationLink navigation={navigation} />}
     </>
   );
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// TERRAIN SAMPLER CONTEXT - Surface queries for components inside the scene
+// ═══════════════════════════════════════════════════════════════════════════════
+const TerrainSamplerContext = createContext(null);
+
+// TerrainSampler for the enclosing ProceduralTerrain; null until generated
+export function useTerrainSampler() {
+  return useContext(TerrainSamplerContext);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BIOME REGISTRY HOOK - Biome keys that follow registerBiome at runtime
+// ═══════════════════════════════════════════════════════════════════════════════
+export function useBiomeTypes() {
+  const [types, setTypes] = useState(() => BIOME_TYPES.slice());
+  
+  useEffect(() => onBiomesChanged(() => setTypes(BIOME_TYPES.slice())), []);
+  
+  return types;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // MAIN PROCEDURAL TERRAIN COMPONENT (Exported)
 // ═══════════════════════════════════════════════════════════════════════════════
-export function ProceduralTerrain({
+export const ProceduralTerrain = forwardRef(function ProceduralTerrain({
   seed = 'default-terrain-seed',
   biome = 'grassland',
   resolution = 64,
   size = 50,
+  world = null,
+  heightmap = null,
+  erosion,
+  rivers,
+  generator,
+  sculpt = null,
+  brush = null,
+  showWater = true,
+  showScatter = false,
+  contours = false,
+  topographic = false,
+  roads = null,
+  morph = false,
+  living = false,
+  useWorkers = true,
   wireframe = true,
   showSolid = true,
   wireframeOpacity = 0.7,
   solidOpacity = 1.0,
+  shading = 'unlit',
+  sunDirection = [2, 2, 1],
+  shadows = false,
+  ambientOcclusion = false,
   showOverlay = true,
   showMinimap = true,
+  minimapContours = false,
+  markers = [],
+  pointsOfInterest = false,
   showLegend = true,
   showCoords = true,
   showGrid = true,
@@ -565,13 +1474,44 @@ export function ProceduralTerrain({
   style = {},
   className = '',
   onTerrainGenerated = null,
-}) {
-  // Notify parent when terrain is generated
+  onSculpt = null,
+  onCollider = null,
+  onPointsOfInterest = null,
+  children = null,
+}, ref) {
+  const [sampler, setSampler] = useState(null);
+  
+  // Camera and controls, shared with the minimap outside the Canvas
+  const navigation = useRef(null);
+  
+  // Topographic mode turns on contour lines in the scene and on the map
+  const sceneContours = contours || topographic;
+  const mapContours = minimapContours || (topographic && sceneContours);
+  
+  // The ref is the sampler for the terrain currently on screen
+  useImperativeHandle(ref, () => sampler, [sampler]);
+  
+  // Ranked sites on the terrain on screen, shown in the scene and on the map
+  const poiOptions = pointsOfInterest ? resolvePoiOptions(pointsOfInterest) : null;
+  const poiKey = JSON.stringify(poiOptions);
+  const field = sampler && sampler.field;
+  const sites = useMemo(
+    () => (field && poiOptions ? findPointsOfInterest(field, poiOptions) : []),
+    [field, poiKey]
+  );
   useEffect(() => {
+    if (poiOptions && field && onPointsOfInterest) onPointsOfInterest(sites);
+  }, [sites]);
+  const mapMarkers = sites.length ? [...markers, ...poiMarkers(sites)] : markers;
+  
+  // Notify parent once the terrain data is ready; `field` feeds exportTerrain
+  const handleGenerated = (field) => {
+    setSampler(new TerrainSampler(field));
+    if (onCollider) onCollider(createHeightfieldCollider(field));
     if (onTerrainGenerated) {
-      onTerrainGenerated({ seed, biome, resolution, size });
+      onTerrainGenerated({ seed, biome, resolution, size, field });
     }
-  }, [seed, biome, resolution, size, onTerrainGenerated]);
+  };
   
   return (
     <div 
@@ -587,24 +1527,53 @@ export function ProceduralTerrain({
       <Canvas
         camera={{ position: cameraPosition, fov: 50 }}
         gl={{ antialias: true, alpha: false }}
+        shadows={shadows}
         style={{ background: backgroundColor }}
       >
         <color attach="background" args={[backgroundColor]} />
         <fog attach="fog" args={[backgroundColor, 60, 150]} />
         
-        <SceneSetup />
+        {/* Left-drag sculpts while a brush is active, so orbiting is disabled */}
+        <SceneSetup
+          sunDirection={sunDirection}
+          shadows={shadows}
+          shadowExtent={size * 0.75}
+          enableRotate={!brush}
+          navigation={navigation}
+        />
         
         <TerrainMesh
           seed={seed}
           biomeType={biome}
           resolution={resolution}
           size={size}
+          world={world}
+          heightmap={heightmap}
+          erosion={erosion}
+          rivers={rivers}
+          generator={generator}
+          sculpt={sculpt}
+          brush={brush}
+          showWater={showWater}
+          showScatter={showScatter}
+          contours={sceneContours}
+          roads={roads}
+          morph={morph}
+          living={living}
+          ambientOcclusion={ambientOcclusion}
+          useWorkers={useWorkers}
+          onGenerated={handleGenerated}
+          onSculpt={onSculpt}
           wireframe={wireframe}
           showSolid={showSolid}
           wireframeOpacity={wireframeOpacity}
           solidOpacity={solidOpacity}
+          shading={shading}
+          shadows={shadows}
         />
         
+        {sites.length > 0 && <PoiMarkers sites={sites} labels={poiOptions.labels !== false} />}
+        
         {showGrid && (
           <Grid
             args={[100, 100]}
@@ -620,12 +1589,30 @@ export function ProceduralTerrain({
             infiniteGrid
           />
         )}
+        
+        {/* Scene children can query the surface with useTerrainSampler() */}
+        <TerrainSamplerContext.Provider value={sampler}>
+          {children}
+        </TerrainSamplerContext.Provider>
       </Canvas>
       
       {showOverlay && (
         <TerrainOverlay
           seed={seed}
           biomeType={biome}
+          size={size}
+          world={world}
+          heightmap={heightmap}
+          erosion={erosion}
+          rivers={rivers}
+          generator={generator}
+          sculpt={sculpt}
+          useWorkers={useWorkers}
+          navigation={navigation}
+          minimapContours={mapContours}
+          topographic={topographic}
+          roads={field && field.roads}
+          markers={mapMarkers}
           showMinimap={showMinimap}
           showLegend={showLegend}
           showCoords={showCoords}
@@ -633,23 +1620,485 @@ export function ProceduralTerrain({
       )}
     </div>
   );
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HEIGHTMAP LOADING - PNG or RAW from a File, Blob, URL or buffer
+// ═══════════════════════════════════════════════════════════════════════════════
+export async function loadHeightmap(source, options = {}) {
+  let buffer = source;
+  if (typeof source === 'string') buffer = await (await fetch(source)).arrayBuffer();
+  else if (typeof Blob !== 'undefined' && source instanceof Blob) buffer = await source.arrayBuffer();
+  
+  const { width, height, bitDepth, littleEndian, ...layer } = options;
+  const decoded = await decodeHeightmap(new Uint8Array(buffer), { width, height, bitDepth, littleEndian });
+  return { ...decoded, ...layer };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TERRAIN DOWNLOAD - Saves a heightfield as png, raw, obj, gltf, glb or stl
+// ═══════════════════════════════════════════════════════════════════════════════
+export function downloadTerrain(field, format, options) {
+  const { data, fileName, mimeType } = exportTerrain(field, format, options);
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WORLD FILES - Saves and loads versioned world descriptors as JSON
+// ═══════════════════════════════════════════════════════════════════════════════
+export function downloadWorld(descriptor) {
+  const url = URL.createObjectURL(new Blob([serializeWorld(descriptor)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${String(descriptor.seed).replace(/[^\w-]+/g, '-')}.world.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Raw descriptor from a File, Blob or URL; pass it to readWorldDescriptor
+export async function loadWorldFile(source) {
+  const text = typeof source === 'string' ? await (await fetch(source)).text() : await source.text();
+  return JSON.parse(text);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // UTILITY EXPORTS
 // ═══════════════════════════════════════════════════════════════════════════════
-export { BIOMES, SeededRNG, SeededNoise, getVertexColor };
-export const BIOME_TYPES = Object.keys(BIOMES);
+export {
+  BIOMES,
+  BIOME_TYPES,
+  createBiome,
+  registerBiome,
+  NOISE_TYPES,
+  registerNoiseType,
+  SeededRNG,
+  SeededNoise,
+  TerrainSampler,
+  createHeightfieldCollider,
+  getVertexColor,
+  generateHeightfield,
+  createTerrainGeometry,
+  useHeightfield,
+  ChunkCache,
+  DEFAULT_LOD_BANDS,
+  TerrainWorkerPool,
+  exportTerrain,
+  createWorldDescriptor,
+  readWorldDescriptor,
+  encodeWorldHash,
+  decodeWorldHash,
+  SculptLayer,
+  scatterObjects,
+  POI_TYPES,
+  registerPoiType,
+  findPointsOfInterest,
+  TerrainNavigator,
+  applyRoads,
+  blendSurfaces,
+  LivingTerrain,
+  SHADING_MODES,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BIOME EDITOR - Live sliders and colour pickers for the active biome
+// ═══════════════════════════════════════════════════════════════════════════════
+const EDITOR_SLIDERS = [
+  // [key, label, min, max, step, default]
+  ['heightScale', 'HEIGHT SCALE', 1, 30, 0.5],
+  ['noiseScale', 'NOISE SCALE', 0.01, 0.2, 0.005],
+  ['octaves', 'OCTAVES', 1, 8, 1],
+  ['lacunarity', 'LACUNARITY', 1.5, 3, 0.05, 2],
+  ['persistence', 'PERSISTENCE', 0.2, 0.8, 0.05, 0.5],
+];
+const EDITOR_THRESHOLDS = ['deep', 'low', 'mid', 'high'];
+const EDITOR_CELLULAR = ['f1', 'edges'];
+const EDITOR_COLORS = ['deep', 'low', 'mid', 'high', 'peak'];
+
+const editorSelect = {
+  flex: 1,
+  background: '#111',
+  border: '1px solid #333',
+  color: '#0f0',
+  padding: '4px 6px',
+  fontFamily: 'inherit',
+  fontSize: 10,
+  cursor: 'pointer',
+};
+
+const editorButton = {
+  flex: 1,
+  background: '#1a1a1a',
+  border: '1px solid #0f0',
+  color: '#0f0',
+  padding: '4px 8px',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  fontSize: 10,
+  textAlign: 'center',
+};
+
+// Lowercase slug usable as a registry key
+function biomeKeyFromName(name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return /^[a-z]/.test(slug) ? slug : `biome-${slug || 'custom'}`;
+}
+
+// Presets shipped with TerrainCore; the editor never overwrites these
+const PRESET_BIOMES = new Set(BIOME_TYPES);
+
+// Registers a biome from a world or biome file and returns its key. A key
+// already holding the same biome is reused; a different biome under the name
+// is never replaced, the new one gets the next free `name-2`, `name-3`, ...
+function adoptBiome(config) {
+  const base = biomeKeyFromName(config.name);
+  const json = JSON.stringify(biomeToJSON(config));
+  for (let n = 1; ; n++) {
+    const key = n === 1 ? base : `${base}-${n}`;
+    if (!BIOME_TYPES.includes(key)) {
+      registerBiome(key, config);
+      return key;
+    }
+    if (JSON.stringify(biomeToJSON(key)) === json) return key;
+  }
+}
+
+// Edits a JSON draft of `biomeKey`. Every valid draft is handed to `onChange`
+// as a config, so the terrain and minimap regenerate live; invalid drafts
+// show the validation problems and keep the last good terrain.
+function BiomeEditor({ biomeKey, onChange, onImport }) {
+  const [draft, setDraft] = useState(() => biomeToJSON(biomeKey));
+  const [problems, setProblems] = useState(null);
+  
+  // Start over from the registered biome whenever another one is picked
+  useEffect(() => setDraft(biomeToJSON(biomeKey)), [biomeKey]);
+  
+  useEffect(() => {
+    try {
+      onChange(createBiome(draft));
+      setProblems(null);
+    } catch (error) {
+      setProblems(error.problems ? error.problems.join('; ') : error.message);
+    }
+  }, [draft]);
+  
+  const update = (key, value) => setDraft((d) => ({ ...d, [key]: value }));
+  const updateIn = (group, key, value) => setDraft((d) => ({ ...d, [group]: { ...d[group], [key]: value } }));
+  
+  // `noise` may be a bare type name; the editor always writes the object form
+  const noise = typeof draft.noise === 'string' ? { type: draft.noise } : draft.noise || {};
+  const updateNoise = (key, value) => update('noise', { ...noise, [key]: value });
+  
+  const exportJSON = () => {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(draft, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${biomeKey}.biome.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+  
+  // Presets stay restorable: saving an edited preset registers a new biome
+  const save = () => {
+    if (PRESET_BIOMES.has(biomeKey)) onImport(adoptBiome(createBiome(draft)));
+    else registerBiome(biomeKey, draft);
+  };
+  
+  const importJSON = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => onImport(adoptBiome(biomeFromJSON(text))))
+      .catch((error) => setProblems(error.message));
+  };
+  
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      <input
+        type="text"
+        value={draft.name}
+        onChange={(e) => update('name', e.target.value)}
+        style={{
+          background: '#111',
+          border: '1px solid #333',
+          color: '#0f0',
+          padding: '4px 6px',
+          fontFamily: 'inherit',
+          fontSize: 10,
+        }}
+      />
+      
+      {EDITOR_SLIDERS.map(([key, label, min, max, step, fallback]) => {
+        const value = draft[key] ?? fallback;
+        return (
+          <div key={key}>
+            <label style={{ display: 'block', marginBottom: 2, opacity: 0.7 }}>
+              {label}: {Number(value.toFixed(3))}
+            </label>
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={value}
+              onChange={(e) => update(key, parseFloat(e.target.value))}
+              style={{ width: '100%', accentColor: '#0f0' }}
+            />
+          </div>
+        );
+      })}
+      
+      <div style={{ display: 'flex', gap: 6 }}>
+        <select value={noise.type || 'fbm'} onChange={(e) => updateNoise('type', e.target.value)} style={editorSelect}>
+          {Object.keys(NOISE_TYPES).map((type) => (
+            <option key={type} value={type}>{type.toUpperCase()}</option>
+          ))}
+        </select>
+        {noise.type === 'worley' && (
+          <select value={noise.cellular || 'f1'} onChange={(e) => updateNoise('cellular', e.target.value)} style={editorSelect}>
+            {EDITOR_CELLULAR.map((mode) => (
+              <option key={mode} value={mode}>{mode.toUpperCase()}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      
+      <div>
+        <label style={{ display: 'block', marginBottom: 2, opacity: 0.7 }}>
+          TERRACES: {noise.terraces || 'OFF'}
+        </label>
+        <input
+          type="range"
+          min="0"
+          max="12"
+          step="1"
+          value={noise.terraces || 0}
+          onChange={(e) => updateNoise('terraces', parseInt(e.target.value, 10))}
+          style={{ width: '100%', accentColor: '#0f0' }}
+        />
+      </div>
+      
+      {EDITOR_THRESHOLDS.map((key) => (
+        <div key={key}>
+          <label style={{ display: 'block', marginBottom: 2, opacity: 0.7 }}>
+            {key.toUpperCase()} ≤ {draft.thresholds[key].toFixed(2)}
+          </label>
+          <input
+            type="range"
+            min="-1"
+            max="1"
+            step="0.01"
+            value={draft.thresholds[key]}
+            onChange={(e) => updateIn('thresholds', key, parseFloat(e.target.value))}
+            style={{ width: '100%', accentColor: '#0f0' }}
+          />
+        </div>
+      ))}
+      
+      <div style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+        {EDITOR_COLORS.map((key) => (
+          <input
+            key={key}
+            type="color"
+            title={key}
+            value={draft.colors[key]}
+            onChange={(e) => updateIn('colors', key, e.target.value)}
+            style={{ flex: 1, height: 20, padding: 0, border: '1px solid #333', background: 'none' }}
+          />
+        ))}
+        <input
+          type="color"
+          title="wireColor"
+          value={draft.wireColor}
+          onChange={(e) => update('wireColor', e.target.value)}
+          style={{ flex: 1, height: 20, padding: 0, border: '1px solid #0f0', background: 'none' }}
+        />
+      </div>
+      
+      {problems && <div style={{ color: '#ff5252', fontSize: 10 }}>{problems}</div>}
+      
+      <div style={{ display: 'flex', gap: 6 }}>
+        <button onClick={save} disabled={!!problems} style={editorButton}>
+          SAVE
+        </button>
+        <button onClick={() => setDraft(biomeToJSON(biomeKey))} style={editorButton}>
+          RESET
+        </button>
+        <button onClick={exportJSON} style={editorButton}>
+          EXPORT
+        </button>
+        <label style={editorButton}>
+          IMPORT
+          <input type="file" accept=".json" onChange={importJSON} style={{ display: 'none' }} />
+        </label>
+      </div>
+    </div>
+  );
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // DEMO APPLICATION
 // ═══════════════════════════════════════════════════════════════════════════════
+const DEMO_WORLD = { climateScale: 0.04 };
+
+// Five waypoints joined by the cheapest road network between them
+const DEMO_ROADS = { points: [[-18, -15], [15, -12], [0, 5], [-12, 18], [18, 16]] };
+
 export default function TerrainDemo() {
   const [seed, setSeed] = useState('cosmic-landscape-42');
   const [biome, setBiome] = useState('grassland');
+  const biomeTypes = useBiomeTypes();
+  const [editing, setEditing] = useState(false);
+  const [editedBiome, setEditedBiome] = useState(null);
   const [resolution, setResolution] = useState(64);
   const [wireframe, setWireframe] = useState(true);
   const [showSolid, setShowSolid] = useState(true);
+  const [worldMode, setWorldMode] = useState(false);
+  const [showScatter, setShowScatter] = useState(true);
+  const [topographic, setTopographic] = useState(false);
+  const [showPoi, setShowPoi] = useState(false);
+  const [showRoads, setShowRoads] = useState(false);
+  const [morph, setMorph] = useState(true);
+  const [living, setLiving] = useState(false);
+  const [shading, setShading] = useState('unlit');
+  const [sunAngle, setSunAngle] = useState(30);
+  const [shadows, setShadows] = useState(false);
+  const [ambientOcclusion, setAmbientOcclusion] = useState(false);
+  const [field, setField] = useState(null);
+  const [imported, setImported] = useState(null);
+  const [detail, setDetail] = useState(0.1);
+  
+  // Memoized so the terrain only regenerates when the map or detail changes
+  const heightmap = useMemo(() => imported && { ...imported, detail }, [imported, detail]);
+  
+  // Edits live in one delta layer across seed and biome changes; loading a
+  // world swaps in its layer
+  const [sculpt, setSculpt] = useState(() => new SculptLayer());
+  // A loaded world's generator version and river overrides, so old saves
+  // regenerate exactly as they were made
+  const [generator, setGenerator] = useState(GENERATOR_VERSION);
+  const [rivers, setRivers] = useState(undefined);
+  const [sculpting, setSculpting] = useState(false);
+  const [brush, setBrush] = useState(DEFAULT_BRUSH);
+  const [history, setHistory] = useState(0);
+  const refreshHistory = () => setHistory((h) => h + 1);
+  const updateBrush = (key, value) => setBrush((b) => ({ ...b, [key]: value }));
+  
+  const undo = () => sculpt.undo() && refreshHistory();
+  const redo = () => sculpt.redo() && refreshHistory();
+  
+  // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.tagName === 'INPUT') return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) undo();
+      else if (key === 'y' || (key === 'z' && e.shiftKey)) redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [sculpt]);
+  
+  const importHeightmap = (e) => {
+    const file = e.target.files[0];
+    if (file) loadHeightmap(file).then(setImported, (error) => console.error(error));
+    e.target.value = '';
+  };
+  
+  const activeBiome = editing && editedBiome ? editedBiome : biome;
+  const view = { wireframe, showSolid, showScatter, topographic, showPoi, showRoads, morph, living, shading, sunAngle, shadows, ambientOcclusion };
+  const describeWorld = (withField) => createWorldDescriptor({
+    seed,
+    biome: activeBiome,
+    world: worldMode ? DEMO_WORLD : null,
+    resolution,
+    rivers,
+    sculpt,
+    generator,
+    view,
+  }, withField ? field : null);
+  
+  // Descriptor loaded from a file or storage, checked against the next field
+  const [pendingCheck, setPendingCheck] = useState(null);
+  
+  const applyWorld = (descriptor) => {
+    const options = readWorldDescriptor(descriptor);
+    setSeed(options.seed);
+    setBiome(typeof options.biome === 'string' ? options.biome : adoptBiome(options.biome));
+    setEditing(false);
+    setEditedBiome(null);
+    setWorldMode(!!options.world);
+    setResolution(options.resolution);
+    setSculpt(options.sculpt || new SculptLayer());
+    setGenerator(options.generator);
+    setRivers(options.rivers);
+    const v = options.view || {};
+    if (v.wireframe !== undefined) setWireframe(v.wireframe);
+    if (v.showSolid !== undefined) setShowSolid(v.showSolid);
+    if (v.showScatter !== undefined) setShowScatter(v.showScatter);
+    if (v.topographic !== undefined) setTopographic(v.topographic);
+    if (v.showPoi !== undefined) setShowPoi(v.showPoi);
+    if (v.showRoads !== undefined) setShowRoads(v.showRoads);
+    if (v.morph !== undefined) setMorph(v.morph);
+    if (v.living !== undefined) setLiving(v.living);
+    if (SHADING_MODES.includes(v.shading)) setShading(v.shading);
+    if (Number.isFinite(v.sunAngle)) setSunAngle(v.sunAngle);
+    if (v.shadows !== undefined) setShadows(v.shadows);
+    if (v.ambientOcclusion !== undefined) setAmbientOcclusion(v.ambientOcclusion);
+    setPendingCheck(descriptor.checksum ? descriptor : null);
+  };
+  
+  // Open the world in the address bar, and any #world= link pasted later
+  useEffect(() => {
+    const load = () => {
+      try {
+        const descriptor = decodeWorldHash(window.location.hash);
+        if (descriptor) applyWorld(descriptor);
+      } catch (error) {
+        console.error(error);
+      }
+    };
+    load();
+    window.addEventListener('hashchange', load);
+    return () => window.removeEventListener('hashchange', load);
+  }, []);
+  
+  // Keep the address bar a shareable link to what is on screen
+  useEffect(() => {
+    window.history.replaceState(null, '', `#${encodeWorldHash(describeWorld(false))}`);
+  }, [seed, activeBiome, worldMode, resolution, JSON.stringify(rivers), generator, sculpt, history, JSON.stringify(view)]);
+  
+  const onTerrainGenerated = ({ field: generated }) => {
+    setField(generated);
+    const expected = pendingCheck;
+    if (expected && generated.seed === expected.seed && generated.resolution === expected.resolution) {
+      if (!verifyWorld(expected, generated)) {
+        console.warn(`World "${expected.seed}" did not regenerate identically (checksum ${expected.checksum})`);
+      }
+      setPendingCheck(null);
+    }
+  };
+  
+  const loadWorld = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) loadWorldFile(file).then(applyWorld).catch((error) => console.error(error));
+  };
+  
+  const recallWorld = () => {
+    try {
+      const descriptor = loadWorldFromStorage('demo');
+      if (descriptor) applyWorld(descriptor);
+    } catch (error) {
+      console.error(error);
+    }
+  };
   
   const randomizeSeed = () => {
     const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
@@ -683,6 +2132,9 @@ export default function TerrainDemo() {
         color: '#0f0',
         fontSize: 12,
         minWidth: 220,
+        maxWidth: 260,
+        maxHeight: 'calc(100vh - 32px)',
+        overflowY: 'auto',
         boxShadow: '0 0 20px rgba(0,255,0,0.1)',
       }}>
         <div style={{ 
@@ -734,6 +2186,7 @@ export default function TerrainDemo() {
           <select
             value={biome}
             onChange={(e) => setBiome(e.target.value)}
+            disabled={worldMode}
             style={{
               width: '100%',
               background: '#111',
@@ -744,12 +2197,32 @@ export default function TerrainDemo() {
               cursor: 'pointer',
             }}
           >
-            {BIOME_TYPES.map(b => (
+            {biomeTypes.map(b => (
               <option key={b} value={b}>{BIOMES[b].name.toUpperCase()}</option>
             ))}
           </select>
         </div>
         
+        {/* Biome Editor */}
+        <div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer', marginBottom: 6 }}>
+            <input
+              type="checkbox"
+              checked={editing}
+              disabled={worldMode}
+              onChange={(e) => {
+                setEditing(e.target.checked);
+                if (!e.target.checked) setEditedBiome(null);
+              }}
+              style={{ accentColor: '#0f0' }}
+            />
+            EDIT BIOME
+          </label>
+          {editing && !worldMode && (
+            <BiomeEditor biomeKey={biome} onChange={setEditedBiome} onImport={setBiome} />
+          )}
+        </div>
+        
         {/* Resolution Slider */}
         <div>
           <label style={{ display: 'block', marginBottom: 4, opacity: 0.7 }}>
@@ -767,7 +2240,7 @@ export default function TerrainDemo() {
         </div>
         
         {/* Toggles */}
-        <div style={{ display: 'flex', gap: 16 }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16 }}>
           <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
             <input
               type="checkbox"
@@ -786,13 +2259,339 @@ export default function TerrainDemo() {
             />
             SOLID
           </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={worldMode}
+              onChange={(e) => setWorldMode(e.target.checked)}
+              style={{ accentColor: '#0f0' }}
+            />
+            WORLD
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={showScatter}
+              onChange={(e) => setShowScatter(e.target.checked)}
+              style={{ accentColor: '#0f0' }}
+            />
+            PROPS
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={topographic}
+              onChange={(e) => setTopographic(e.target.checked)}
+              style={{ accentColor: '#0f0' }}
+            />
+            TOPO
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={showPoi}
+              onChange={(e) => setShowPoi(e.target.checked)}
+              style={{ accentColor: '#0f0' }}
+            />
+            POI
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={showRoads}
+              onChange={(e) => setShowRoads(e.target.checked)}
+              style={{ accentColor: '#0f0' }}
+            />
+            ROADS
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={morph}
+              onChange={(e) => setMorph(e.target.checked)}
+              style={{ accentColor: '#0f0' }}
+            />
+            MORPH
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={living}
+              onChange={(e) => setLiving(e.target.checked)}
+              style={{ accentColor: '#0f0' }}
+            />
+            LIVE
+          </label>
+        </div>
+        
+        {/* Lighting */}
+        <div>
+          <label style={{ display: 'block', marginBottom: 4, opacity: 0.7 }}>SHADING</label>
+          <select
+            value={shading}
+            onChange={(e) => setShading(e.target.value)}
+            style={{
+              width: '100%',
+              background: '#111',
+              border: '1px solid #333',
+              color: '#0f0',
+              padding: '6px 8px',
+              fontFamily: 'inherit',
+              cursor: 'pointer',
+            }}
+          >
+            {SHADING_MODES.map((mode) => (
+              <option key={mode} value={mode}>{mode.toUpperCase()}</option>
+            ))}
+          </select>
+          {shading !== 'unlit' && (
+            <div style={{ marginTop: 6 }}>
+              <label style={{ display: 'block', marginBottom: 4, opacity: 0.7 }}>SUN: {sunAngle}°</label>
+              <input
+                type="range"
+                min="0"
+                max="359"
+                value={sunAngle}
+                onChange={(e) => setSunAngle(parseInt(e.target.value))}
+                style={{ width: '100%', accentColor: '#0f0' }}
+              />
+            </div>
+          )}
+          <div style={{ display: 'flex', gap: 16, marginTop: 6 }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={shadows}
+                disabled={shading === 'unlit'}
+                onChange={(e) => setShadows(e.target.checked)}
+                style={{ accentColor: '#0f0' }}
+              />
+              SHADOWS
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={ambientOcclusion}
+                onChange={(e) => setAmbientOcclusion(e.target.checked)}
+                style={{ accentColor: '#0f0' }}
+              />
+              AO
+            </label>
+          </div>
+        </div>
+        
+        {/* Sculpting */}
+        <div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer', marginBottom: 6 }}>
+            <input
+              type="checkbox"
+              checked={sculpting}
+              onChange={(e) => setSculpting(e.target.checked)}
+              style={{ accentColor: '#0f0' }}
+            />
+            SCULPT {sculpting && <span style={{ opacity: 0.5 }}>(RIGHT-DRAG PANS)</span>}
+          </label>
+          {sculpting && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+              <div style={{ display: 'flex', gap: 6 }}>
+                {['tool', 'falloff'].map((key) => (
+                  <select
+                    key={key}
+                    value={brush[key]}
+                    onChange={(e) => updateBrush(key, e.target.value)}
+                    style={{
+                      flex: 1,
+                      background: '#111',
+                      border: '1px solid #333',
+                      color: '#0f0',
+                      padding: '4px 6px',
+                      fontFamily: 'inherit',
+                      fontSize: 10,
+                    }}
+                  >
+                    {(key === 'tool' ? SCULPT_TOOLS : ['smooth', 'linear', 'constant']).map((option) => (
+                      <option key={option} value={option}>{option.toUpperCase()}</option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+              <label style={{ opacity: 0.7 }}>RADIUS: {brush.radius}</label>
+              <input
+                type="range"
+                min="1"
+                max="15"
+                step="0.5"
+                value={brush.radius}
+                onChange={(e) => updateBrush('radius', parseFloat(e.target.value))}
+                style={{ width: '100%', accentColor: '#0f0' }}
+              />
+              <label style={{ opacity: 0.7 }}>STRENGTH: {brush.strength.toFixed(2)}</label>
+              <input
+                type="range"
+                min="0.05"
+                max="1"
+                step="0.05"
+                value={brush.strength}
+                onChange={(e) => updateBrush('strength', parseFloat(e.target.value))}
+                style={{ width: '100%', accentColor: '#0f0' }}
+              />
+              <div style={{ display: 'flex', gap: 6 }}>
+                {[
+                  ['UNDO', undo, sculpt.canUndo],
+                  ['REDO', redo, sculpt.canRedo],
+                  ['CLEAR', () => { sculpt.clear(); refreshHistory(); }, !sculpt.isEmpty],
+                ].map(([label, action, enabled]) => (
+                  <button
+                    key={label}
+                    onClick={action}
+                    disabled={!enabled}
+                    style={{
+                      flex: 1,
+                      background: '#1a1a1a',
+                      border: '1px solid #0f0',
+                      color: '#0f0',
+                      padding: '4px 6px',
+                      cursor: enabled ? 'pointer' : 'default',
+                      opacity: enabled ? 1 : 0.4,
+                      fontFamily: 'inherit',
+                      fontSize: 10,
+                    }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+        
+        {/* Heightmap Import */}
+        <div>
+          <label style={{ display: 'block', marginBottom: 4, opacity: 0.7 }}>
+            HEIGHTMAP: {imported ? `${imported.width}x${imported.height}` : 'NONE'}
+          </label>
+          <div style={{ display: 'flex', gap: 6 }}>
+            <label style={{
+              flex: 1,
+              background: '#1a1a1a',
+              border: '1px solid #0f0',
+              padding: '4px 8px',
+              cursor: 'pointer',
+              fontSize: 10,
+              textAlign: 'center',
+            }}>
+              IMPORT
+              <input
+                type="file"
+                accept=".png,.raw,.r16"
+                onChange={importHeightmap}
+                style={{ display: 'none' }}
+              />
+            </label>
+            <button
+              onClick={() => setImported(null)}
+              disabled={!imported}
+              style={{
+                background: '#1a1a1a',
+                border: '1px solid #333',
+                color: '#0f0',
+                padding: '4px 8px',
+                cursor: imported ? 'pointer' : 'default',
+                fontFamily: 'inherit',
+                fontSize: 10,
+              }}
+            >
+              CLEAR
+            </button>
+          </div>
+          {imported && (
+            <>
+              <label style={{ display: 'block', margin: '6px 0 4px', opacity: 0.7 }}>
+                NOISE DETAIL: {detail.toFixed(2)}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="0.5"
+                step="0.05"
+                value={detail}
+                onChange={(e) => setDetail(parseFloat(e.target.value))}
+                style={{ width: '100%', accentColor: '#0f0' }}
+              />
+            </>
+          )}
+        </div>
+        
+        {/* Export */}
+        <div>
+          <label style={{ display: 'block', marginBottom: 4, opacity: 0.7 }}>EXPORT</label>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+            {['png', 'raw', 'obj', 'gltf', 'glb', 'stl'].map((format) => (
+              <button
+                key={format}
+                onClick={() => downloadTerrain(field, format)}
+                disabled={!field}
+                style={{
+                  background: '#1a1a1a',
+                  border: '1px solid #0f0',
+                  color: '#0f0',
+                  padding: '4px 8px',
+                  cursor: field ? 'pointer' : 'default',
+                  fontFamily: 'inherit',
+                  fontSize: 10,
+                }}
+              >
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+        
+        {/* World Save / Load */}
+        <div>
+          <label style={{ display: 'block', marginBottom: 4, opacity: 0.7 }}>WORLD</label>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+            <button onClick={() => downloadWorld(describeWorld(true))} disabled={!field} style={editorButton}>
+              SAVE
+            </button>
+            <label style={editorButton}>
+              LOAD
+              <input type="file" accept=".json" onChange={loadWorld} style={{ display: 'none' }} />
+            </label>
+            <button onClick={() => saveWorldToStorage('demo', describeWorld(true))} disabled={!field} style={editorButton}>
+              STORE
+            </button>
+            <button onClick={recallWorld} style={editorButton}>
+              RECALL
+            </button>
+            <button onClick={() => navigator.clipboard.writeText(window.location.href)} style={editorButton}>
+              COPY LINK
+            </button>
+          </div>
         </div>
       </div>
       
       {/* Terrain Viewer */}
       <ProceduralTerrain
         seed={seed}
-        biome={biome}
+        biome={activeBiome}
+        world={worldMode ? DEMO_WORLD : null}
+        heightmap={heightmap}
+        rivers={rivers}
+        generator={generator}
+        sculpt={sculpt}
+        brush={sculpting ? brush : null}
+        onSculpt={refreshHistory}
+        showScatter={showScatter}
+        topographic={topographic}
+        pointsOfInterest={showPoi}
+        roads={showRoads ? DEMO_ROADS : null}
+        morph={morph}
+        living={living}
+        shading={shading}
+        sunDirection={[Math.cos(sunAngle * Math.PI / 180), 1, Math.sin(sunAngle * Math.PI / 180)]}
+        shadows={shadows && shading !== 'unlit'}
+        ambientOcclusion={ambientOcclusion}
         resolution={resolution}
         wireframe={wireframe}
         showSolid={showSolid}
@@ -804,6 +2603,7 @@ export default function TerrainDemo() {
         showCoords={true}
         showGrid={true}
         backgroundColor="#050505"
+        onTerrainGenerated={onTerrainGenerated}
       />
       
       {/* Footer */}
@@ -0,0 +1,53 @@
+import React, { useMemo } from 'react';
+import { RigidBody, HeightfieldCollider, TrimeshCollider } from '@react-three/rapier';
+import { createHeightfieldCollider, createTrimeshCollider } from './TerrainCore';
+import { useTerrainSampler } from './ProceduralTerrain';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RAPIER TERRAIN - @react-three/rapier adapter for ProceduralTerrain colliders
+//
+// Kept out of ProceduralTerrain.jsx so rapier stays an optional dependency.
+// ═══════════════════════════════════════════════════════════════════════════════
+let nextColliderKey = 0;
+
+// Fixed rigid body for a collider description (from `onCollider`, or built
+// with createHeightfieldCollider / createTrimeshCollider). Without one, it
+// follows the enclosing ProceduralTerrain through useTerrainSampler().
+export function RapierTerrain({ collider = null, type = 'heightfield', friction = 1, restitution = 0 }) {
+  const sampler = useTerrainSampler();
+  const description = useMemo(() => {
+    if (collider) return collider;
+    if (!sampler) return null;
+    return type === 'trimesh' ? createTrimeshCollider(sampler.field) : createHeightfieldCollider(sampler.field);
+  }, [collider, sampler, type]);
+  
+  // A fresh key per description rebuilds the rapier shape when terrain changes
+  const key = useMemo(() => nextColliderKey++, [description]);
+  
+  if (!description) return null;
+  
+  return (
+    <RigidBody key={key} type="fixed" colliders={false} position={description.position}>
+      {description.type === 'trimesh' ? (
+        <TrimeshCollider
+          args={[description.vertices, description.indices]}
+          friction={friction}
+          restitution={restitution}
+        />
+      ) : (
+        <HeightfieldCollider
+          args={[
+            description.rows,
+            description.columns,
+            Array.from(description.heights),
+            { ...description.scale },
+          ]}
+          friction={friction}
+          restitution={restitution}
+        />
+      )}
+    </RigidBody>
+  );
+}
+
+export default RapierTerrain;
@@ -0,0 +1,4877 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// TERRAIN CORE - Headless, React-free terrain generation
+//
+// Shared by ProceduralTerrain.jsx, demo.html and Node. Loads as a classic
+// <script> (exposes `TerrainCore`), via require(), or through a bundler import.
+// ═══════════════════════════════════════════════════════════════════════════════
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TerrainCore = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function terrainCoreFactory() {
+  'use strict';
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // SEEDED PRNG - Mulberry32 algorithm for deterministic randomness
+  // ═════════════════════════════════════════════════════════════════════════════
+  class SeededRNG {
+    constructor(seed) {
+      this.seed = this.hashString(seed);
+      this.state = this.seed;
+    }
+
+    hashString(str) {
+      if (typeof str === 'number') return str >>> 0;
+      let hash = 0;
+      for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash;
+      }
+      return Math.abs(hash) || 1;
+    }
+
+    next() {
+      let t = this.state += 0x6D2B79F5;
+      t = Math.imul(t ^ t >>> 15, t | 1);
+      t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+      return min + this.next() * (max - min);
+    }
+
+    reset() {
+      this.state = this.seed;
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // SIMPLEX NOISE - Seeded implementation for coherent terrain
+  // ═════════════════════════════════════════════════════════════════════════════
+  // Gradients to the midpoints of a tesseract's edges, for noise4D
+  const GRAD4 = [
+    [0,1,1,1],[0,1,1,-1],[0,1,-1,1],[0,1,-1,-1],[0,-1,1,1],[0,-1,1,-1],[0,-1,-1,1],[0,-1,-1,-1],
+    [1,0,1,1],[1,0,1,-1],[1,0,-1,1],[1,0,-1,-1],[-1,0,1,1],[-1,0,1,-1],[-1,0,-1,1],[-1,0,-1,-1],
+    [1,1,0,1],[1,1,0,-1],[1,-1,0,1],[1,-1,0,-1],[-1,1,0,1],[-1,1,0,-1],[-1,-1,0,1],[-1,-1,0,-1],
+    [1,1,1,0],[1,1,-1,0],[1,-1,1,0],[1,-1,-1,0],[-1,1,1,0],[-1,1,-1,0],[-1,-1,1,0],[-1,-1,-1,0]
+  ];
+
+  class SeededNoise {
+    constructor(rng) {
+      this.perm = new Uint8Array(512);
+      this.permMod12 = new Uint8Array(512);
+
+      const p = new Uint8Array(256);
+      for (let i = 0; i < 256; i++) p[i] = i;
+
+      // Fisher-Yates shuffle with seeded RNG
+      for (let i = 255; i > 0; i--) {
+        const j = Math.floor(rng.next() * (i + 1));
+        [p[i], p[j]] = [p[j], p[i]];
+      }
+
+      for (let i = 0; i < 512; i++) {
+        this.perm[i] = p[i & 255];
+        this.permMod12[i] = this.perm[i] % 12;
+      }
+
+      this.grad3 = [
+        [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
+        [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
+        [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
+      ];
+
+      this.F2 = 0.5 * (Math.sqrt(3) - 1);
+      this.G2 = (3 - Math.sqrt(3)) / 6;
+    }
+
+    noise2D(xin, yin) {
+      const { perm, permMod12, grad3, F2, G2 } = this;
+      let n0, n1, n2;
+
+      const s = (xin + yin) * F2;
+      const i = Math.floor(xin + s);
+      const j = Math.floor(yin + s);
+      const t = (i + j) * G2;
+      const X0 = i - t;
+      const Y0 = j - t;
+      const x0 = xin - X0;
+      const y0 = yin - Y0;
+
+      let i1, j1;
+      if (x0 > y0) { i1 = 1; j1 = 0; }
+      else { i1 = 0; j1 = 1; }
+
+      const x1 = x0 - i1 + G2;
+      const y1 = y0 - j1 + G2;
+      const x2 = x0 - 1 + 2 * G2;
+      const y2 = y0 - 1 + 2 * G2;
+
+      const ii = i & 255;
+      const jj = j & 255;
+      const gi0 = permMod12[ii + perm[jj]];
+      const gi1 = permMod12[ii + i1 + perm[jj + j1]];
+      const gi2 = permMod12[ii + 1 + perm[jj + 1]];
+
+      let t0 = 0.5 - x0*x0 - y0*y0;
+      if (t0 < 0) n0 = 0;
+      else {
+        t0 *= t0;
+        n0 = t0 * t0 * (grad3[gi0][0]*x0 + grad3[gi0][1]*y0);
+      }
+
+      let t1 = 0.5 - x1*x1 - y1*y1;
+      if (t1 < 0) n1 = 0;
+      else {
+        t1 *= t1;
+        n1 = t1 * t1 * (grad3[gi1][0]*x1 + grad3[gi1][1]*y1);
+      }
+
+      let t2 = 0.5 - x2*x2 - y2*y2;
+      if (t2 < 0) n2 = 0;
+      else {
+        t2 *= t2;
+        n2 = t2 * t2 * (grad3[gi2][0]*x2 + grad3[gi2][1]*y2);
+      }
+
+      return 70 * (n0 + n1 + n2);
+    }
+
+    noise3D(xin, yin, zin) {
+      const { perm, permMod12, grad3 } = this;
+      const F3 = 1 / 3;
+      const G3 = 1 / 6;
+
+      const s = (xin + yin + zin) * F3;
+      const i = Math.floor(xin + s);
+      const j = Math.floor(yin + s);
+      const k = Math.floor(zin + s);
+      const t = (i + j + k) * G3;
+      const x0 = xin - (i - t);
+      const y0 = yin - (j - t);
+      const z0 = zin - (k - t);
+
+      // Which of the six tetrahedra of the skewed cube we are in
+      let i1, j1, k1, i2, j2, k2;
+      if (x0 >= y0) {
+        if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+        else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+      } else {
+        if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+        else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+        else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+      }
+
+      const ii = i & 255;
+      const jj = j & 255;
+      const kk = k & 255;
+      let n = 0;
+      for (let c = 0; c <= 3; c++) {
+        // Corner c: the origin, the two tetrahedron steps, then (1, 1, 1)
+        const di = c === 0 ? 0 : c === 1 ? i1 : c === 2 ? i2 : 1;
+        const dj = c === 0 ? 0 : c === 1 ? j1 : c === 2 ? j2 : 1;
+        const dk = c === 0 ? 0 : c === 1 ? k1 : c === 2 ? k2 : 1;
+        const x = x0 - di + c * G3;
+        const y = y0 - dj + c * G3;
+        const z = z0 - dk + c * G3;
+        let f = 0.6 - x*x - y*y - z*z;
+        if (f < 0) continue;
+        const g = grad3[permMod12[ii + di + perm[jj + dj + perm[kk + dk]]]];
+        f *= f;
+        n += f * f * (g[0]*x + g[1]*y + g[2]*z);
+      }
+      return 32 * n;
+    }
+
+    noise4D(xin, yin, zin, win) {
+      const { perm } = this;
+      const F4 = (Math.sqrt(5) - 1) / 4;
+      const G4 = (5 - Math.sqrt(5)) / 20;
+
+      const s = (xin + yin + zin + win) * F4;
+      const i = Math.floor(xin + s);
+      const j = Math.floor(yin + s);
+      const k = Math.floor(zin + s);
+      const l = Math.floor(win + s);
+      const t = (i + j + k + l) * G4;
+      const x0 = xin - (i - t);
+      const y0 = yin - (j - t);
+      const z0 = zin - (k - t);
+      const w0 = win - (l - t);
+
+      // Rank the coordinates to find the simplex's corner order
+      let rx = 0, ry = 0, rz = 0, rw = 0;
+      if (x0 > y0) rx++; else ry++;
+      if (x0 > z0) rx++; else rz++;
+      if (x0 > w0) rx++; else rw++;
+      if (y0 > z0) ry++; else rz++;
+      if (y0 > w0) ry++; else rw++;
+      if (z0 > w0) rz++; else rw++;
+
+      const ii = i & 255;
+      const jj = j & 255;
+      const kk = k & 255;
+      const ll = l & 255;
+      let n = 0;
+      for (let c = 0; c <= 4; c++) {
+        // Corner c steps along every axis ranked above 3 - c
+        const di = c === 4 ? 1 : +(rx >= 4 - c);
+        const dj = c === 4 ? 1 : +(ry >= 4 - c);
+        const dk = c === 4 ? 1 : +(rz >= 4 - c);
+        const dl = c === 4 ? 1 : +(rw >= 4 - c);
+        const x = x0 - di + c * G4;
+        const y = y0 - dj + c * G4;
+        const z = z0 - dk + c * G4;
+        const w = w0 - dl + c * G4;
+        let f = 0.6 - x*x - y*y - z*z - w*w;
+        if (f < 0) continue;
+        const g = GRAD4[perm[ii + di + perm[jj + dj + perm[kk + dk + perm[ll + dl]]]] & 31];
+        f *= f;
+        n += f * f * (g[0]*x + g[1]*y + g[2]*z + g[3]*w);
+      }
+      return 27 * n;
+    }
+
+    // Distances to the nearest and second-nearest seeded feature point, one
+    // point per unit cell, as [F1, F2]
+    worley2D(x, y, jitter = 1) {
+      const { perm } = this;
+      const xi = Math.floor(x);
+      const yi = Math.floor(y);
+      let f1 = Infinity;
+      let f2 = Infinity;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const cx = xi + dx;
+          const cy = yi + dy;
+          const h = perm[(cx & 255) + perm[cy & 255]];
+          const px = cx + 0.5 + (perm[h] / 255 - 0.5) * jitter;
+          const py = cy + 0.5 + (perm[(h + 73) & 255] / 255 - 0.5) * jitter;
+          const d = Math.hypot(px - x, py - y);
+          if (d < f1) { f2 = f1; f1 = d; }
+          else if (d < f2) f2 = d;
+        }
+      }
+      return [f1, f2];
+    }
+
+    fractalNoise(x, y, octaves = 4, lacunarity = 2, persistence = 0.5) {
+      let total = 0;
+      let frequency = 1;
+      let amplitude = 1;
+      let maxValue = 0;
+
+      for (let i = 0; i < octaves; i++) {
+        total += this.noise2D(x * frequency, y * frequency) * amplitude;
+        maxValue += amplitude;
+        amplitude *= persistence;
+        frequency *= lacunarity;
+      }
+
+      return total / maxValue;
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // COLOR HELPERS - Plain { r, g, b } (0-1, sRGB) so no renderer is required
+  // ═════════════════════════════════════════════════════════════════════════════
+  function hexToRGB(hex) {
+    return {
+      r: ((hex >> 16) & 255) / 255,
+      g: ((hex >> 8) & 255) / 255,
+      b: (hex & 255) / 255,
+    };
+  }
+
+  // The common CSS colour names; anything else needs hex or rgb()
+  const CSS_COLORS = {
+    black: 0x000000, white: 0xffffff, gray: 0x808080, grey: 0x808080, silver: 0xc0c0c0,
+    red: 0xff0000, maroon: 0x800000, crimson: 0xdc143c, salmon: 0xfa8072, coral: 0xff7f50,
+    orange: 0xffa500, gold: 0xffd700, yellow: 0xffff00, khaki: 0xf0e68c, olive: 0x808000,
+    lime: 0x00ff00, green: 0x008000, darkgreen: 0x006400, forestgreen: 0x228b22, seagreen: 0x2e8b57,
+    olivedrab: 0x6b8e23, teal: 0x008080, cyan: 0x00ffff, aqua: 0x00ffff, turquoise: 0x40e0d0,
+    skyblue: 0x87ceeb, steelblue: 0x4682b4, blue: 0x0000ff, navy: 0x000080, indigo: 0x4b0082,
+    purple: 0x800080, violet: 0xee82ee, magenta: 0xff00ff, fuchsia: 0xff00ff, pink: 0xffc0cb,
+    brown: 0xa52a2a, sienna: 0xa0522d, chocolate: 0xd2691e, peru: 0xcd853f, tan: 0xd2b48c,
+    sandybrown: 0xf4a460, wheat: 0xf5deb3, beige: 0xf5f5dc, ivory: 0xfffff0, snow: 0xfffafa,
+    slategray: 0x708090, darkslategray: 0x2f4f4f,
+  };
+
+  const namedColor = (value) => {
+    const name = String(value).trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(CSS_COLORS, name) ? CSS_COLORS[name] : undefined;
+  };
+
+  // Accepts 0xRRGGBB, '#rgb', '#rrggbb', 'rgb(r, g, b)', a CSS_COLORS name or
+  // an existing { r, g, b }
+  function parseColor(value) {
+    if (typeof value === 'number') return hexToRGB(value);
+    if (value && typeof value === 'object') return { r: value.r, g: value.g, b: value.b };
+    if (namedColor(value) !== undefined) return hexToRGB(namedColor(value));
+    const rgb = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)/i.exec(String(value).trim());
+    if (rgb) return { r: rgb[1] / 255, g: rgb[2] / 255, b: rgb[3] / 255 };
+    const hex = String(value).trim().replace(/^#/, '');
+    const full = hex.length === 3 ? hex.replace(/./g, (c) => c + c) : hex;
+    return hexToRGB(parseInt(full, 16));
+  }
+
+  function colorToCSS(color) {
+    if (typeof color === 'string') return color;
+    const channel = (c) => Math.round(Math.max(0, Math.min(1, c)) * 255).toString(16).padStart(2, '0');
+    return `#${channel(color.r)}${channel(color.g)}${channel(color.b)}`;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // BIOME CONFIGURATIONS - SVGA-style color palettes
+  // ═════════════════════════════════════════════════════════════════════════════
+  const BIOMES = {
+    grassland: {
+      name: 'Grassland',
+      heightScale: 8,
+      noiseScale: 0.08,
+      octaves: 4,
+      climate: { temperature: 0.5, moisture: 0.55 },
+      colors: {
+        deep:   hexToRGB(0x1a472a),  // Dark forest green
+        low:    hexToRGB(0x2d5a27),  // Forest floor
+        mid:    hexToRGB(0x4a7c23),  // Grass green
+        high:   hexToRGB(0x7cb342),  // Light grass
+        peak:   hexToRGB(0xa5d64a),  // Bright meadow
+      },
+      wireColor: '#1b5e20',
+      thresholds: { deep: -0.3, low: 0, mid: 0.3, high: 0.6 },
+      water: { level: -0.35, color: '#1e5a8c' },
+      rivers: { count: 3, depth: 0.12, width: 1.5 },
+      colorRules: [
+        { name: 'rock', color: '#6b6b5a', slope: [64, 90], strength: 0.7 },
+      ],
+      scatter: [
+        { model: 'pine', spacing: 2.5, height: [0.05, 0.8], slope: [20, 70], density: 0.6, color: '#1b5e20' },
+        { model: 'tree', spacing: 3.5, height: [-0.3, 0.1], slope: [0, 55], density: 0.5, color: '#558b2f' },
+        { model: 'rock', spacing: 5, height: [0.3, 1], slope: [0, 80], density: 0.5, color: '#757575' },
+      ]
+    },
+
+    desert: {
+      name: 'Desert',
+      heightScale: 6,
+      noiseScale: 0.06,
+      octaves: 3,
+      climate: { temperature: 0.85, moisture: 0.1 },
+      colors: {
+        deep:   hexToRGB(0x8b4513),  // Saddle brown (rocky)
+        low:    hexToRGB(0xc19a6b),  // Desert sand
+        mid:    hexToRGB(0xd4a574),  // Warm sand
+        high:   hexToRGB(0xe6c99a),  // Light dune
+        peak:   hexToRGB(0xfae5c3),  // Bright sand peak
+      },
+      wireColor: '#8b5a2b',
+      thresholds: { deep: -0.4, low: -0.1, mid: 0.2, high: 0.5 },
+      colorRules: [
+        { name: 'windward', color: '#f4d58d', aspect: [200, 320], strength: 0.5 },
+      ],
+      living: { drift: [0.3, 0.1], speed: 0.02, amplitude: 1 },   // Dunes travel downwind
+      scatter: [
+        { model: 'cactus', spacing: 4, height: [-0.4, 0.3], slope: [0, 45], density: 0.55, color: '#558b2f' },
+        { model: 'rock', spacing: 6, height: [0.15, 1], slope: [0, 70], density: 0.5, color: '#a0522d' },
+      ]
+    },
+
+    tundra: {
+      name: 'Tundra',
+      heightScale: 5,
+      noiseScale: 0.05,
+      octaves: 5,
+      climate: { temperature: 0.1, moisture: 0.45 },
+      colors: {
+        deep:   hexToRGB(0x2f4f4f),  // Dark slate
+        low:    hexToRGB(0x607d8b),  // Blue grey
+        mid:    hexToRGB(0x90a4ae),  // Permafrost
+        high:   hexToRGB(0xb0bec5),  // Light frost
+        peak:   hexToRGB(0xeceff1),  // Snow
+      },
+      wireColor: '#455a64',
+      thresholds: { deep: -0.35, low: -0.05, mid: 0.25, high: 0.55 },
+      colorRules: [
+        { name: 'rock', color: '#546e7a', slope: [50, 90], strength: 0.8 },
+        { name: 'snow', color: '#f5f9fc', height: [0.15, 1], slope: [0, 35] },
+      ],
+      scatter: [
+        { model: 'pine', spacing: 4, height: [-0.5, 0.1], slope: [0, 45], density: 0.45, color: '#2f4f4f' },
+        { model: 'shard', spacing: 5, height: [0.25, 1], slope: [0, 70], density: 0.5, color: '#e0f7fa' },
+      ]
+    },
+
+    volcanic: {
+      name: 'Volcanic',
+      heightScale: 12,
+      noiseScale: 0.07,
+      octaves: 4,
+      noise: { type: 'ridged' },                 // Sharp volcanic ridges
+      climate: { temperature: 0.95, moisture: 0.45 },
+      colors: {
+        deep:   hexToRGB(0x1a1a1a),  // Obsidian black
+        low:    hexToRGB(0x3d2817),  // Scorched earth
+        mid:    hexToRGB(0x5d4037),  // Volcanic rock
+        high:   hexToRGB(0xbf360c),  // Molten orange
+        peak:   hexToRGB(0xff5722),  // Lava glow
+      },
+      wireColor: '#ff3d00',
+      thresholds: { deep: -0.4, low: -0.1, mid: 0.3, high: 0.7 },
+      erosion: {
+        hydraulic: { iterations: 2000, strength: 0.2 },
+        thermal: { iterations: 8, talus: 1.4 },
+      },
+      colorRules: [
+        { name: 'lava', color: '#ff3d00', height: [-1, -0.1], curvature: [2.5, 50] },
+      ],
+      living: { speed: 0.5, amplitude: 0.12 },   // Lava fields heave and pulse
+      scatter: [
+        { model: 'rock', spacing: 3, height: [-1, 0.2], slope: [0, 70], density: 0.55, color: '#212121' },
+        { model: 'shard', spacing: 4, height: [0.2, 1], slope: [0, 80], density: 0.6, color: '#ff6d00' },
+      ]
+    },
+
+    ocean: {
+      name: 'Ocean Floor',
+      heightScale: 15,
+      noiseScale: 0.04,
+      octaves: 5,
+      climate: { temperature: 0.45, moisture: 0.95 },
+      colors: {
+        deep:   hexToRGB(0x0d1b2a),  // Abyss
+        low:    hexToRGB(0x1b3a4b),  // Deep ocean
+        mid:    hexToRGB(0x2e6171),  // Mid depth
+        high:   hexToRGB(0x4a8fa8),  // Shallow
+        peak:   hexToRGB(0x7ec8e3),  // Near surface
+      },
+      wireColor: '#0077b6',
+      thresholds: { deep: -0.5, low: -0.2, mid: 0.1, high: 0.4 },
+      water: { level: 0.55, color: '#0a4d7a', opacity: 0.45, wireframe: true, wireColor: '#48cae4' },
+      colorRules: [
+        { name: 'sand', color: '#c2b280', height: [-0.2, 0.4], slope: [0, 30], noise: { scale: 0.15, threshold: 0.1 }, strength: 0.6 },
+      ],
+      scatter: [
+        { model: 'coral', spacing: 3, height: [-0.3, 0.3], slope: [0, 65], density: 0.5, color: '#ff7043' },
+        { model: 'rock', spacing: 5, height: [-1, -0.1], slope: [0, 80], density: 0.5, color: '#37474f' },
+      ]
+    },
+
+    alien: {
+      name: 'Alien World',
+      heightScale: 10,
+      noiseScale: 0.09,
+      octaves: 4,
+      noise: { type: 'worley' },                 // Cellular domes
+      colors: {
+        deep:   hexToRGB(0x1a0033),  // Deep purple void
+        low:    hexToRGB(0x4a0080),  // Alien rock
+        mid:    hexToRGB(0x7b1fa2),  // Crystal purple
+        high:   hexToRGB(0x00e676),  // Bioluminescent
+        peak:   hexToRGB(0x76ff03),  // Bright bio
+      },
+      wireColor: '#00c853',
+      thresholds: { deep: -0.35, low: 0, mid: 0.35, high: 0.65 },
+      colorRules: [
+        { name: 'spores', color: '#d500f9', height: [-0.5, 0.4], noise: { scale: 0.12, threshold: 0.3 }, strength: 0.8 },
+      ],
+      scatter: [
+        { model: 'crystal', spacing: 3, height: [0.25, 1], slope: [0, 85], density: 0.7, color: '#76ff03', glow: true },
+        { model: 'mushroom', spacing: 4, height: [-0.5, 0.1], slope: [0, 60], density: 0.5, color: '#e040fb' },
+      ]
+    },
+
+    canyon: {
+      name: 'Canyon',
+      heightScale: 18,
+      noiseScale: 0.05,
+      octaves: 6,
+      noise: { terraces: 6 },                    // Stepped mesas
+      climate: { temperature: 0.7, moisture: 0.25 },
+      colors: {
+        deep:   hexToRGB(0x3e2723),  // Canyon floor
+        low:    hexToRGB(0x6d4c41),  // Lower rock
+        mid:    hexToRGB(0xa1887f),  // Sandstone
+        high:   hexToRGB(0xd7ccc8),  // Upper layers
+        peak:   hexToRGB(0xff8a65),  // Sun-kissed rim
+      },
+      wireColor: '#795548',
+      thresholds: { deep: -0.4, low: -0.15, mid: 0.2, high: 0.55 },
+      erosion: {
+        hydraulic: { iterations: 3000, strength: 0.3 },
+        thermal: { iterations: 12, talus: 1.8 },
+      },
+      colorRules: [
+        { name: 'strata', bands: { colors: ['#8d5524', '#c68642', '#a0522d', '#e0ac69'], period: 0.06 }, slope: [45, 90], strength: 0.85 },
+      ],
+      scatter: [
+        { model: 'rock', spacing: 4, height: [-1, 0], slope: [0, 60], density: 0.5, color: '#8d6e63' },
+        { model: 'cactus', spacing: 5, height: [0.15, 1], slope: [0, 40], density: 0.5, color: '#689f38' },
+      ]
+    },
+
+    marsh: {
+      name: 'Marshland',
+      heightScale: 3,
+      noiseScale: 0.1,
+      octaves: 5,
+      climate: { temperature: 0.6, moisture: 0.8 },
+      colors: {
+        deep:   hexToRGB(0x1b3022),  // Deep water
+        low:    hexToRGB(0x2e4a3a),  // Murky water
+        mid:    hexToRGB(0x4a6741),  // Wet grass
+        high:   hexToRGB(0x6b8e4e),  // Reed green
+        peak:   hexToRGB(0x8bc34a),  // Bright vegetation
+      },
+      wireColor: '#33691e',
+      thresholds: { deep: -0.25, low: 0.05, mid: 0.25, high: 0.5 },
+      water: { level: -0.05, color: '#2f5d50', opacity: 0.7 },
+      rivers: { count: 5, depth: 0.08, width: 1, minSourceHeight: 0.15 },
+      colorRules: [
+        { name: 'moss', color: '#556b2f', slope: [0, 35], noise: { scale: 0.2, threshold: 0 }, strength: 0.6 },
+      ],
+      scatter: [
+        { model: 'reeds', spacing: 1.5, height: [-0.05, 0.15], slope: [0, 50], density: 0.55, color: '#9e9d24' },
+        { model: 'tree', spacing: 4, height: [0.15, 1], slope: [0, 55], density: 0.5, color: '#33691e' },
+      ]
+    }
+  };
+
+  const BIOME_TYPES = Object.keys(BIOMES);
+
+  // Own keys only, so names like 'constructor' or 'toString' are never biomes
+  const isBiomeKey = (key) => Object.prototype.hasOwnProperty.call(BIOMES, key);
+
+  // Accepts a biome key or a full config object; unknown keys fall back to grassland
+  function resolveBiome(biome) {
+    if (biome && typeof biome === 'object') return biome;
+    return isBiomeKey(biome) ? BIOMES[biome] : BIOMES.grassland;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // BIOME REGISTRY - Validated custom biomes, JSON round trips, change events
+  // ═════════════════════════════════════════════════════════════════════════════
+  const COLOR_BANDS = ['deep', 'low', 'mid', 'high', 'peak'];
+
+  // Inclusive ranges accepted for the noise parameters
+  const BIOME_LIMITS = {
+    heightScale: [0.1, 100],
+    noiseScale: [0.001, 1],
+    octaves: [1, 10],
+  };
+
+  // Optional fields, checked only when present
+  const OPTIONAL_BIOME_LIMITS = {
+    lacunarity: [1, 4],
+    persistence: [0.1, 0.9],
+  };
+
+  const biomeListeners = new Set();
+
+  // Channels of an { r, g, b } object outside 0-1, which parseColor keeps as is
+  const badChannels = (value) =>
+    ['r', 'g', 'b'].filter((c) => !(typeof value[c] === 'number' && value[c] >= 0 && value[c] <= 1));
+
+  const isColor = (value) => {
+    if (typeof value === 'string' && !/^(#?([\da-f]{3}|[\da-f]{6})|rgba?\(.*\))$/i.test(value.trim()) &&
+      namedColor(value) === undefined) return false;
+    if (typeof value !== 'string' && typeof value !== 'number' && !(value && typeof value === 'object')) return false;
+    if (typeof value === 'object') return badChannels(value).length === 0;
+    const color = parseColor(value);
+    return [color.r, color.g, color.b].every(Number.isFinite);
+  };
+
+  const describeColor = (path, value) => {
+    if (value === undefined) return `${path} is missing`;
+    if (value && typeof value === 'object') {
+      return `${path} ${JSON.stringify(value)} needs ${badChannels(value).join(', ')} from 0 to 1`;
+    }
+    return `${path} ${JSON.stringify(value)} is not a colour`;
+  };
+
+  const isRange = (value) => Array.isArray(value) && value.length === 2 &&
+    value.every((v) => v === null || typeof v === 'number');
+
+  // Every problem with a definition, as readable strings; empty when valid
+  function validateBiome(definition) {
+    if (!definition || typeof definition !== 'object') return ['definition must be an object'];
+    const problems = [];
+    const { name, colors, thresholds, climate, water, colorRules, scatter, noise, graph } = definition;
+
+    if (typeof name !== 'string' || !name.trim()) problems.push('name must be a non-empty string');
+
+    for (const [key, [min, max]] of Object.entries(BIOME_LIMITS)) {
+      const value = definition[key];
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        problems.push(`${key} must be a number`);
+      } else if (value < min || value > max) {
+        problems.push(`${key} ${value} is outside ${min} to ${max}`);
+      }
+    }
+    for (const [key, [min, max]] of Object.entries(OPTIONAL_BIOME_LIMITS)) {
+      const value = definition[key];
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        problems.push(`${key} must be a number`);
+      } else if (value < min || value > max) {
+        problems.push(`${key} ${value} is outside ${min} to ${max}`);
+      }
+    }
+    if (Number.isFinite(definition.octaves) && !Number.isInteger(definition.octaves)) {
+      problems.push('octaves must be a whole number');
+    }
+
+    if (!colors || typeof colors !== 'object') {
+      problems.push(`colors must set ${COLOR_BANDS.join(', ')}`);
+    } else {
+      for (const band of COLOR_BANDS) {
+        if (!isColor(colors[band])) problems.push(describeColor(`colors.${band}`, colors[band]));
+      }
+    }
+    if (!isColor(definition.wireColor)) {
+      problems.push(describeColor('wireColor', definition.wireColor));
+    }
+
+    if (!thresholds || typeof thresholds !== 'object') {
+      problems.push('thresholds must set deep, low, mid, high');
+    } else {
+      const values = COLOR_BANDS.slice(0, 4).map((band) => thresholds[band]);
+      if (!values.every((v) => typeof v === 'number' && v >= -1 && v <= 1)) {
+        problems.push('thresholds deep, low, mid and high must be numbers from -1 to 1');
+      } else if (!values.every((v, i) => i === 0 || v > values[i - 1])) {
+        problems.push(`thresholds must ascend (deep < low < mid < high), got ${values.join(', ')}`);
+      }
+    }
+
+    if (climate !== undefined) {
+      const valid = climate && ['temperature', 'moisture'].every((k) => climate[k] >= 0 && climate[k] <= 1);
+      if (!valid) problems.push('climate.temperature and climate.moisture must be from 0 to 1');
+    }
+    if (water !== undefined && water !== false && water !== null) {
+      if (typeof water !== 'object') {
+        problems.push('water must be an object or false');
+      } else {
+        if (water.level !== undefined && !(water.level >= -1 && water.level <= 1)) {
+          problems.push(`water.level ${water.level} is outside -1 to 1`);
+        }
+        if (water.color !== undefined && !isColor(water.color)) {
+          problems.push(describeColor('water.color', water.color));
+        }
+      }
+    }
+    for (const key of ['rivers', 'erosion', 'living']) {
+      const value = definition[key];
+      if (value !== undefined && value !== false && value !== null && typeof value !== 'object') {
+        problems.push(`${key} must be an object or false`);
+      }
+    }
+
+    if (noise !== undefined && noise !== null) {
+      const settings = typeof noise === 'string' ? { type: noise } : noise;
+      if (typeof settings !== 'object') {
+        problems.push('noise must be a type name or an object');
+      } else {
+        const { type, slice, terraces, warp, jitter, detail } = settings;
+        if (type !== undefined && !NOISE_TYPES[type]) {
+          problems.push(`noise.type "${type}" is not one of ${Object.keys(NOISE_TYPES).join(', ')}`);
+        }
+        const validSlice = slice === undefined || slice === null || Number.isFinite(slice) ||
+          (Array.isArray(slice) && slice.length === 2 && slice.every(Number.isFinite));
+        if (!validSlice) problems.push('noise.slice must be a number (3D) or a [z, w] pair (4D)');
+        if (terraces !== undefined && !(Number.isInteger(terraces) && terraces >= 0 && terraces <= 64)) {
+          problems.push('noise.terraces must be a whole number from 0 to 64');
+        }
+        for (const [key, value] of Object.entries({ warp, jitter, detail })) {
+          if (value !== undefined && !Number.isFinite(value)) problems.push(`noise.${key} must be a number`);
+        }
+      }
+    }
+
+    if (graph !== undefined && graph !== null) problems.push(...validateHeightGraph(graph));
+
+    if (colorRules !== undefined) {
+      if (!Array.isArray(colorRules)) {
+        problems.push('colorRules must be an array');
+      } else {
+        colorRules.forEach((rule, i) => {
+          const bands = rule && rule.bands;
+          if (bands && Array.isArray(bands.colors) && bands.colors.length) {
+            bands.colors.forEach((color, j) => {
+              if (!isColor(color)) problems.push(describeColor(`colorRules[${i}].bands.colors[${j}]`, color));
+            });
+          } else if (!bands && rule && rule.color !== undefined) {
+            if (!isColor(rule.color)) problems.push(describeColor(`colorRules[${i}].color`, rule.color));
+          } else {
+            problems.push(`colorRules[${i}] needs a color or bands.colors`);
+          }
+          for (const key of ['height', 'slope', 'curvature', 'aspect']) {
+            if (rule && rule[key] !== undefined && !isRange(rule[key])) {
+              problems.push(`colorRules[${i}].${key} must be a [min, max] pair`);
+            }
+          }
+        });
+      }
+    }
+    if (scatter !== undefined) {
+      if (!Array.isArray(scatter)) {
+        problems.push('scatter must be an array');
+      } else {
+        scatter.forEach((rule, i) => {
+          if (!rule || typeof rule.model !== 'string') problems.push(`scatter[${i}].model must be a string`);
+          else if (rule.spacing !== undefined && !(rule.spacing > 0)) problems.push(`scatter[${i}].spacing must be positive`);
+        });
+      }
+    }
+    return problems;
+  }
+
+  // Validated biome config with colours parsed from hex numbers or CSS
+  // strings. `extends` names a registered biome to start from; its colors and
+  // thresholds are merged key by key.
+  function createBiome(definition = {}) {
+    const { extends: baseKey, ...own } = definition;
+    let merged = own;
+    if (baseKey !== undefined) {
+      if (!isBiomeKey(baseKey)) throw new Error(`Cannot extend unknown biome "${baseKey}"`);
+      const base = BIOMES[baseKey];
+      merged = {
+        ...base,
+        ...own,
+        colors: { ...base.colors, ...own.colors },
+        thresholds: { ...base.thresholds, ...own.thresholds },
+      };
+      if (base.noise && own.noise && typeof own.noise === 'object') {
+        merged.noise = { ...(typeof base.noise === 'string' ? { type: base.noise } : base.noise), ...own.noise };
+      }
+    }
+
+    const problems = validateBiome(merged);
+    if (problems.length) {
+      const label = merged && typeof merged.name === 'string' ? ` "${merged.name}"` : '';
+      const error = new Error(`Invalid biome${label}: ${problems.join('; ')}`);
+      error.name = 'BiomeValidationError';
+      error.problems = problems;
+      throw error;
+    }
+
+    const colors = {};
+    for (const band of COLOR_BANDS) colors[band] = parseColor(merged.colors[band]);
+    return {
+      ...merged,
+      colors,
+      wireColor: colorToCSS(parseColor(merged.wireColor)),
+      thresholds: { ...merged.thresholds },
+    };
+  }
+
+  // Plain JSON-safe definition with CSS hex colours; feeds createBiome back
+  function biomeToJSON(biome) {
+    const { world, ...config } = resolveBiome(biome);
+    const colors = {};
+    for (const band of COLOR_BANDS) colors[band] = colorToCSS(config.colors[band]);
+    return { ...config, colors, wireColor: colorToCSS(parseColor(config.wireColor)) };
+  }
+
+  function biomeFromJSON(json) {
+    return createBiome(typeof json === 'string' ? JSON.parse(json) : json);
+  }
+
+  // Bumped on every (un)registration, so caches keyed on biome keys go stale
+  let biomeRevision = 0;
+
+  function notifyBiomesChanged(change) {
+    biomeRevision++;
+    biomeListeners.forEach((listener) => listener(change));
+  }
+
+  // Adds or replaces BIOMES[key] and keeps BIOME_TYPES in step (in place, so
+  // existing imports see the change). Returns the validated config.
+  function registerBiome(key, definition) {
+    if (typeof key !== 'string' || !/^[a-z][\w-]*$/i.test(key)) {
+      throw new Error(`Biome key ${JSON.stringify(key)} must start with a letter and use only letters, digits, _ or -`);
+    }
+    const biome = createBiome(definition);
+    BIOMES[key] = biome;
+    if (!BIOME_TYPES.includes(key)) BIOME_TYPES.push(key);
+    notifyBiomesChanged({ type: 'register', key, biome });
+    return biome;
+  }
+
+  // Grassland stays as the fallback for unknown keys
+  function unregisterBiome(key) {
+    if (key === 'grassland') throw new Error('The grassland biome is the fallback and cannot be removed');
+    if (!isBiomeKey(key)) return false;
+    delete BIOMES[key];
+    const index = BIOME_TYPES.indexOf(key);
+    if (index !== -1) BIOME_TYPES.splice(index, 1);
+    notifyBiomesChanged({ type: 'unregister', key, biome: null });
+    return true;
+  }
+
+  // Calls `listener({ type, key, biome })` after every (un)registration;
+  // returns an unsubscribe function
+  function onBiomesChanged(listener) {
+    biomeListeners.add(listener);
+    return () => biomeListeners.delete(listener);
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // HEIGHT-TO-COLOR INTERPOLATION (SVGA vertex coloring)
+  // ═════════════════════════════════════════════════════════════════════════════
+  function lerpColor(c1, c2, t, out = {}) {
+    out.r = c1.r + (c2.r - c1.r) * t;
+    out.g = c1.g + (c2.g - c1.g) * t;
+    out.b = c1.b + (c2.b - c1.b) * t;
+    return out;
+  }
+
+  // Elevation banding, then the biome's colorRules when `surface` describes
+  // the ground at this vertex (see COLOR RULES)
+  function getVertexColor(height, biome, out = {}, surface = null) {
+    const { colors, thresholds } = biome;
+    const h = height;
+
+    // Determine which color band and interpolate
+    if (h < thresholds.deep) {
+      lerpColor(colors.deep, colors.deep, 0, out);
+    } else if (h < thresholds.low) {
+      const t = (h - thresholds.deep) / (thresholds.low - thresholds.deep);
+      lerpColor(colors.deep, colors.low, t, out);
+    } else if (h < thresholds.mid) {
+      const t = (h - thresholds.low) / (thresholds.mid - thresholds.low);
+      lerpColor(colors.low, colors.mid, t, out);
+    } else if (h < thresholds.high) {
+      const t = (h - thresholds.mid) / (thresholds.high - thresholds.mid);
+      lerpColor(colors.mid, colors.high, t, out);
+    } else {
+      const t = Math.min((h - thresholds.high) / (1 - thresholds.high), 1);
+      lerpColor(colors.high, colors.peak, t, out);
+    }
+
+    if (surface && biome.colorRules) applyColorRules(biome.colorRules, h, surface, out);
+    return out;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // COLOR RULES - Slope, curvature, aspect and noise-masked paint over the bands
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  // Width of the soft edge on each rule range, scaled by a rule's `softness`
+  const COLOR_RULE_RAMPS = {
+    height: 0.05,      // Normalized height
+    slope: 6,          // Degrees
+    curvature: 0.5,    // World units^-1
+    aspect: 20,        // Degrees
+    noise: 0.15,       // Noise value (-1 to 1)
+  };
+
+  const smoothstep = (edge0, edge1, x) => {
+    if (edge0 === edge1) return x < edge0 ? 0 : 1;
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+  };
+
+  // 1 inside [min, max], easing to 0 across `ramp` centred on each end
+  function rangeWeight(range, value, ramp) {
+    if (!range) return 1;
+    // null ends (JSON has no Infinity) are open
+    const min = range[0] ?? -Infinity;
+    const max = range[1] ?? Infinity;
+    return smoothstep(min - ramp / 2, min + ramp / 2, value) * (1 - smoothstep(max - ramp / 2, max + ramp / 2, value));
+  }
+
+  // Compass range that may wrap through north, e.g. [300, 60]
+  function aspectWeight(range, aspect, ramp) {
+    if (!range) return 1;
+    const wrap = (a) => ((a % 360) + 360) % 360;
+    const span = wrap(range[1] - range[0]);
+    const offset = wrap(aspect - range[0]);
+    const inside = offset <= span ? Math.min(offset, span - offset) : -Math.min(offset - span, 360 - offset);
+    return smoothstep(-ramp / 2, ramp / 2, inside);
+  }
+
+  // Colours parsed once per rules array
+  const compiledRules = new WeakMap();
+
+  function compileColorRules(rules) {
+    if (!compiledRules.has(rules)) {
+      compiledRules.set(rules, rules.map((rule) => ({
+        ...rule,
+        color: rule.color !== undefined ? parseColor(rule.color) : null,
+        bands: rule.bands ? { ...rule.bands, colors: rule.bands.colors.map(parseColor) } : null,
+      })));
+    }
+    return compiledRules.get(rules);
+  }
+
+  // `surface` is { x, z, slope, curvature, aspect, noise }: slope in degrees,
+  // curvature positive in hollows and negative on ridges, aspect as the
+  // compass heading the ground faces (0 = -z, 90 = +x) and a SeededNoise for
+  // masks. Rules paint over the banded colour in order.
+  function applyColorRules(rules, height, surface, out) {
+    const { x, z, slope, curvature, aspect, noise } = surface;
+    for (const rule of compileColorRules(rules)) {
+      const soft = rule.softness ?? 1;
+      let weight = (rule.strength ?? 1)
+        * rangeWeight(rule.height, height, COLOR_RULE_RAMPS.height * soft)
+        * rangeWeight(rule.slope, slope, COLOR_RULE_RAMPS.slope * soft)
+        * rangeWeight(rule.curvature, curvature, COLOR_RULE_RAMPS.curvature * soft);
+      // Flat ground faces nowhere, so aspect rules fade out on it
+      if (rule.aspect) weight *= aspectWeight(rule.aspect, aspect, COLOR_RULE_RAMPS.aspect * soft) * smoothstep(0, 5, slope);
+      if (rule.noise && noise) {
+        const { scale = 0.1, threshold = 0 } = rule.noise;
+        const ramp = COLOR_RULE_RAMPS.noise * soft;
+        weight *= smoothstep(threshold - ramp / 2, threshold + ramp / 2, noise.fractalNoise(x * scale, z * scale, 2, 2.0, 0.5));
+      }
+      if (weight <= 0) continue;
+
+      let color = rule.color;
+      if (rule.bands) {
+        // Strata: colours cycle with height, warped a little by the noise
+        const { colors, period = 0.08 } = rule.bands;
+        const warp = noise ? noise.noise2D(x * 0.03, z * 0.03) * period * 0.5 : 0;
+        const band = Math.floor((height + warp) / period);
+        color = colors[((band % colors.length) + colors.length) % colors.length];
+      }
+      if (color) lerpColor(out, color, Math.min(1, weight), out);
+    }
+    return out;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // NOISE TYPES - Pluggable height generators selected by a biome's `noise`
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_NOISE = {
+    type: 'fbm',           // Key of NOISE_TYPES
+    slice: null,           // Number = 3D simplex slice, [z, w] = 4D slice
+    warp: 1,               // 'warped': displacement in noise units
+    jitter: 1,             // 'worley': 0 = square grid, 1 = fully scattered cells
+    cellular: 'f1',        // 'worley': 'f1' domes or 'edges' (F2 - F1 plates)
+    terraces: 0,           // Terrace steps applied after the generator; 0 = off
+    terraceSharpness: 4,   // Higher = flatter treads, steeper risers
+    detail: 0.15,          // Amplitude of the fine detail layer
+  };
+
+  // One simplex octave, lifted into 3D or 4D when the noise has a slice
+  function simplexAt(noise, x, z, slice) {
+    if (slice === null || slice === undefined) return noise.noise2D(x, z);
+    if (Array.isArray(slice)) return noise.noise4D(x, z, slice[0], slice[1]);
+    return noise.noise3D(x, z, slice);
+  }
+
+  // Normalized octave sum of signal(frequency) in -1 to 1
+  function sumOctaves(settings, signal) {
+    let total = 0;
+    let frequency = 1;
+    let amplitude = 1;
+    let maxValue = 0;
+    for (let i = 0; i < settings.octaves; i++) {
+      total += signal(frequency) * amplitude;
+      maxValue += amplitude;
+      amplitude *= settings.persistence;
+      frequency *= settings.lacunarity;
+    }
+    return total / maxValue;
+  }
+
+  function fbmNoise(noise, x, z, settings) {
+    return sumOctaves(settings, (f) => simplexAt(noise, x * f, z * f, settings.slice));
+  }
+
+  // Each generator maps (noise, x, z, settings) in noise space to -1 to 1
+  const NOISE_TYPES = {
+    fbm: fbmNoise,
+
+    // Musgrave ridged multifractal: sharp crests, detail weighted toward them
+    ridged(noise, x, z, settings) {
+      let weight = 1;
+      const value = sumOctaves(settings, (f) => {
+        let signal = 1 - Math.abs(simplexAt(noise, x * f, z * f, settings.slice));
+        signal *= signal * weight;
+        weight = Math.min(1, signal * 2);
+        return signal;
+      });
+      return value * 2 - 1;
+    },
+
+    // Rounded, puffy hills from folded noise
+    billow(noise, x, z, settings) {
+      return sumOctaves(settings, (f) => Math.abs(simplexAt(noise, x * f, z * f, settings.slice)) * 2 - 1);
+    },
+
+    // fBm sampled through an fBm offset field (swirled, eroded-looking forms)
+    warped(noise, x, z, settings) {
+      const qx = fbmNoise(noise, x + 5.2, z + 1.3, settings);
+      const qz = fbmNoise(noise, x + 1.7, z + 9.2, settings);
+      return fbmNoise(noise, x + settings.warp * qx, z + settings.warp * qz, settings);
+    },
+
+    // Cellular: domes around feature points, or plates split by ridged seams
+    worley(noise, x, z, settings) {
+      const edges = settings.cellular === 'edges';
+      return sumOctaves(settings, (f) => {
+        const [f1, f2] = noise.worley2D(x * f, z * f, settings.jitter);
+        return edges ? Math.min(1, (f2 - f1) * 2) * 2 - 1 : 1 - Math.min(1, f1) * 2;
+      });
+    },
+  };
+
+  // Flat treads with risers between them, in normalized height
+  function terraceHeight(height, steps, sharpness) {
+    const t = ((height + 1) / 2) * steps;
+    const step = Math.floor(t);
+    return ((step + Math.pow(t - step, sharpness)) / steps) * 2 - 1;
+  }
+
+  // Adds or replaces a generator. Custom functions live on this thread only;
+  // biomes that use them should be generated with workers off.
+  function registerNoiseType(name, generator) {
+    if (typeof name !== 'string' || !name) throw new Error('Noise type name must be a non-empty string');
+    if (typeof generator !== 'function') throw new Error(`Noise type "${name}" needs a generator function`);
+    NOISE_TYPES[name] = generator;
+    return generator;
+  }
+
+  // Keyed on the biome object; an entry is reused only while the inputs it was
+  // built from (noise block, octave shaping, registered generator) still match
+  const resolvedNoise = new WeakMap();
+
+  // Biome noise block merged over DEFAULT_NOISE plus the biome's octave shaping
+  function resolveNoise(biome) {
+    const cached = resolvedNoise.get(biome);
+    if (
+      cached &&
+      cached.noise === biome.noise &&
+      cached.octaves === biome.octaves &&
+      cached.lacunarity === biome.lacunarity &&
+      cached.persistence === biome.persistence &&
+      cached.settings.generator === (NOISE_TYPES[cached.settings.type] || fbmNoise)
+    ) {
+      return cached.settings;
+    }
+    const noise = typeof biome.noise === 'string' ? { type: biome.noise } : biome.noise;
+    const settings = {
+      ...DEFAULT_NOISE,
+      octaves: biome.octaves,
+      lacunarity: biome.lacunarity ?? 2.0,
+      persistence: biome.persistence ?? 0.5,
+      ...noise,
+    };
+    settings.generator = NOISE_TYPES[settings.type] || fbmNoise;
+    resolvedNoise.set(biome, {
+      noise: biome.noise,
+      octaves: biome.octaves,
+      lacunarity: biome.lacunarity,
+      persistence: biome.persistence,
+      settings,
+    });
+    return settings;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // HEIGHT FUNCTION - The single definition of terrain elevation
+  // ═════════════════════════════════════════════════════════════════════════════
+  function createTerrainNoise(seed) {
+    return new SeededNoise(new SeededRNG(seed));
+  }
+
+  // Normalized height (-1 to 1) at a world-space coordinate
+  function sampleTerrainHeight(noise, biome, x, z) {
+    // Multi-octave noise for terrain height
+    const nx = x * biome.noiseScale;
+    const nz = z * biome.noiseScale;
+
+    if (biome.noise) {
+      const settings = resolveNoise(biome);
+      let height = settings.generator(noise, nx, nz, settings);
+      height += simplexAt(noise, nx * 3, nz * 3, settings.slice) * settings.detail;
+      height = Math.max(-1, Math.min(1, height));
+      if (settings.terraces > 0) height = terraceHeight(height, settings.terraces, settings.terraceSharpness);
+      return height;
+    }
+
+    // Optional per-biome octave shaping; defaults keep the original terrain
+    let height = noise.fractalNoise(nx, nz, biome.octaves, biome.lacunarity ?? 2.0, biome.persistence ?? 0.5);
+
+    // Add some variation based on biome
+    const detail = noise.noise2D(nx * 3, nz * 3) * 0.15;
+    height = height + detail;
+
+    // Clamp
+    return Math.max(-1, Math.min(1, height));
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // BIOME MAP - Whittaker-style temperature/moisture lookup for world mode
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_WORLD = {
+    name: 'World',
+    biomes: null,          // Biome keys or configs; null = every biome with a climate
+    climateScale: 0.01,    // Frequency of the temperature/moisture fields
+    blend: 0.15,           // Climate-space radius over which biomes blend
+    wireColor: '#00ff41',
+  };
+
+  // Listed biomes must all have a climate; without a list, every registered
+  // biome that has one takes part
+  function resolveWorld(world) {
+    const settings = { ...DEFAULT_WORLD, ...world };
+    const source = settings.biomes || Object.keys(BIOMES).filter((key) => BIOMES[key].climate);
+    settings.biomes = source.map((biome) => {
+      const config = resolveBiome(biome);
+      if (!config.climate) {
+        const label = typeof biome === 'string' ? biome : config.name;
+        throw new Error(`World biome "${label}" has no climate, so it cannot be placed`);
+      }
+      return config;
+    });
+    if (!settings.biomes.length) {
+      throw new Error('World has no biomes: list some in `biomes` or register biomes with a climate');
+    }
+    return settings;
+  }
+
+  // Stretches fractal noise (which rarely leaves ±0.7) to fill 0-1
+  function climateValue(noise, x, z) {
+    return Math.max(0, Math.min(1, 0.5 + 0.75 * noise.fractalNoise(x, z, 3, 2.0, 0.5)));
+  }
+
+  // Low-frequency climate fields that pick and blend biomes across a world
+  function createBiomeMap(seed, world) {
+    const settings = resolveWorld(world);
+    const temperatureNoise = createTerrainNoise(`${seed}:temperature`);
+    const moistureNoise = createTerrainNoise(`${seed}:moisture`);
+    const { biomes, climateScale, blend } = settings;
+    const weights = new Float64Array(biomes.length);
+
+    const climateAt = (x, z) => ({
+      temperature: climateValue(temperatureNoise, x * climateScale, z * climateScale),
+      moisture: climateValue(moistureNoise, x * climateScale, z * climateScale),
+    });
+
+    // Gaussian falloff in climate space, normalized to sum to 1. Returns a
+    // shared buffer that is overwritten by the next call.
+    const weightsAt = (x, z) => {
+      const { temperature, moisture } = climateAt(x, z);
+      let total = 0;
+      for (let b = 0; b < biomes.length; b++) {
+        const dt = temperature - biomes[b].climate.temperature;
+        const dm = moisture - biomes[b].climate.moisture;
+        weights[b] = Math.exp(-(dt * dt + dm * dm) / (blend * blend));
+        total += weights[b];
+      }
+      for (let b = 0; b < biomes.length; b++) {
+        weights[b] = total > 0 ? weights[b] / total : 1 / biomes.length;
+      }
+      return weights;
+    };
+
+    const biomeAt = (x, z) => {
+      const w = weightsAt(x, z);
+      let best = 0;
+      for (let b = 1; b < biomes.length; b++) if (w[b] > w[best]) best = b;
+      return biomes[best];
+    };
+
+    return { settings, biomes, climateAt, weightsAt, biomeAt };
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // HEIGHT GRAPHS - JSON node graphs of generators and operators
+  // ═════════════════════════════════════════════════════════════════════════════
+  const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+  // `arity`: 0 = generator (x, z), 1 = `input`, 'many' = `inputs`, 'pair' =
+  // `inputs: [a, b]` plus a `control`. Generators `create` a function of the
+  // world position; operators `create` a function of their input values.
+  const HEIGHT_GRAPH_NODES = {
+    constant: {
+      arity: 0,
+      validate: (node, path, problems) => {
+        if (!Number.isFinite(node.value)) problems.push(`${path}.value must be a number`);
+      },
+      create: (node) => () => node.value,
+    },
+
+    // A NOISE_TYPES generator with its own sub-seed; scale and octaves default
+    // to the biome's noiseScale and octaves
+    noise: {
+      arity: 0,
+      validate: (node, path, problems) => {
+        if (node.noise !== undefined && !NOISE_TYPES[node.noise]) {
+          problems.push(`${path}.noise "${node.noise}" is not one of ${Object.keys(NOISE_TYPES).join(', ')}`);
+        }
+        if (node.scale !== undefined && !(node.scale > 0)) problems.push(`${path}.scale must be positive`);
+      },
+      create: (node, { seed, config }, id) => {
+        const { type, noise: noiseType = 'fbm', scale = config.noiseScale, seed: subSeed = id, ...params } = node;
+        const noise = createTerrainNoise(`${seed}:graph:${subSeed}`);
+        const settings = resolveNoise({
+          octaves: config.octaves,
+          lacunarity: config.lacunarity,
+          persistence: config.persistence,
+          noise: { ...params, type: noiseType },
+        });
+        return (x, z) => settings.generator(noise, x * scale, z * scale, settings);
+      },
+    },
+
+    // 0 to 1 climate weight of `biome` in the world's biome map (see
+    // createBiomeMap); use it as a select/blend control or a multiplier
+    biomeMask: {
+      arity: 0,
+      validate: (node, path, problems) => {
+        if (typeof node.biome !== 'string' && !(node.biome && typeof node.biome === 'object')) {
+          problems.push(`${path}.biome must be a biome key or config`);
+        }
+      },
+      create: (node, { seed }) => {
+        const map = createBiomeMap(seed, node.world);
+        const target = resolveBiome(node.biome);
+        const index = map.biomes.findIndex((b) => b === target || b.name === target.name);
+        return index < 0 ? () => 0 : (x, z) => map.weightsAt(x, z)[index];
+      },
+    },
+
+    add: { arity: 'many', create: () => (v) => v.reduce((a, b) => a + b, 0) },
+    multiply: { arity: 'many', create: () => (v) => v.reduce((a, b) => a * b, 1) },
+    min: { arity: 'many', create: () => (v) => Math.min(...v) },
+    max: { arity: 'many', create: () => (v) => Math.max(...v) },
+
+    scaleBias: {
+      arity: 1,
+      create: ({ scale = 1, bias = 0 }) => ([v]) => v * scale + bias,
+    },
+
+    clamp: {
+      arity: 1,
+      create: ({ min = -1, max = 1 }) => ([v]) => Math.max(min, Math.min(max, v)),
+    },
+
+    // inputs[1] where control is above threshold, inputs[0] below, with a
+    // smooth edge `falloff` wide on either side
+    select: {
+      arity: 'pair',
+      create: ({ threshold = 0, falloff = 0 }) => ([low, high, control]) => {
+        const t = falloff > 0 ? smoothstep(threshold - falloff, threshold + falloff, control) : +(control > threshold);
+        return low + (high - low) * t;
+      },
+    },
+
+    // Linear mix of inputs[0] to inputs[1] by a 0 to 1 control
+    blend: {
+      arity: 'pair',
+      create: () => ([a, b, control]) => a + (b - a) * clamp01(control),
+    },
+
+    terrace: {
+      arity: 1,
+      validate: (node, path, problems) => {
+        if (!(Number.isInteger(node.steps) && node.steps > 0)) problems.push(`${path}.steps must be a positive whole number`);
+      },
+      create: ({ steps, sharpness = DEFAULT_NOISE.terraceSharpness }) => ([v]) => terraceHeight(v, steps, sharpness),
+    },
+
+    // Piecewise-linear remap through [input, output] points
+    curve: {
+      arity: 1,
+      validate: (node, path, problems) => {
+        const { points } = node;
+        const valid = Array.isArray(points) && points.length >= 2 &&
+          points.every((p, i) => isRange(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]) && (i === 0 || p[0] > points[i - 1][0]));
+        if (!valid) problems.push(`${path}.points must be two or more [input, output] pairs with ascending inputs`);
+      },
+      create: ({ points }) => ([v]) => {
+        if (v <= points[0][0]) return points[0][1];
+        for (let i = 1; i < points.length; i++) {
+          const [x1, y1] = points[i];
+          if (v <= x1) {
+            const [x0, y0] = points[i - 1];
+            return y0 + (y1 - y0) * (v - x0) / (x1 - x0);
+          }
+        }
+        return points[points.length - 1][1];
+      },
+    },
+
+    // Hydraulic/thermal erosion of its input, with the same `hydraulic` and
+    // `thermal` settings as a biome's `erosion`. It needs neighbouring samples,
+    // so it only runs when the graph fills a whole heightfield; single-point
+    // queries (world blends, heightmap detail) pass the input through.
+    erosion: {
+      arity: 1,
+      grid: true,
+      create: () => ([v]) => v,
+    },
+  };
+
+  function heightGraphRefs(node, arity, path) {
+    if (arity === 0) return [];
+    if (arity === 1) return [[node.input, `${path}.input`]];
+    const refs = Array.isArray(node.inputs) ? node.inputs.map((ref, i) => [ref, `${path}.inputs[${i}]`]) : [];
+    return arity === 'pair' ? [...refs, [node.control, `${path}.control`]] : refs;
+  }
+
+  // Flattens inline nodes and orders every node after the nodes it reads.
+  // Nodes not reachable from `output` are checked but not evaluated.
+  function orderHeightGraph(graph, problems) {
+    const nodes = (graph && graph.nodes) || {};
+    const entries = new Map();
+    const visiting = new Set();
+    let order = [];
+
+    const visitNode = (id, node, path) => {
+      if (entries.has(id)) return entries.get(id);
+      if (visiting.has(id)) {
+        problems.push(`${path} is part of a cycle`);
+        return null;
+      }
+      const spec = node && HEIGHT_GRAPH_NODES[node.type];
+      if (!spec) {
+        problems.push(`${path}.type "${node && node.type}" is not one of ${Object.keys(HEIGHT_GRAPH_NODES).join(', ')}`);
+        entries.set(id, null);
+        return null;
+      }
+      visiting.add(id);
+      const refs = heightGraphRefs(node, spec.arity, path);
+      if (spec.arity === 'many' && !refs.length) problems.push(`${path}.inputs must list at least one node`);
+      if (spec.arity === 'pair' && refs.length !== 3) problems.push(`${path}.inputs must list exactly two nodes`);
+      const inputs = refs.map(([ref, refPath]) => visit(ref, refPath));
+      if (spec.validate) spec.validate(node, path, problems);
+      visiting.delete(id);
+
+      const entry = { id, node, spec, inputs };
+      entries.set(id, entry);
+      order.push(entry);
+      return entry;
+    };
+
+    const visit = (ref, path) => {
+      if (typeof ref === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(nodes, ref)) {
+          problems.push(`${path} refers to unknown node "${ref}"`);
+          return null;
+        }
+        return visitNode(ref, nodes[ref], `graph.nodes.${ref}`);
+      }
+      if (ref && typeof ref === 'object') return visitNode(path, ref, path);
+      problems.push(`${path} must be a node id or an inline node`);
+      return null;
+    };
+
+    if (!graph || typeof graph !== 'object') {
+      problems.push('graph must be an object with nodes and an output');
+      return [];
+    }
+    visit(graph.output, 'graph.output');
+    const reachable = order;
+    order = [];
+    for (const id of Object.keys(nodes)) visit(id, `graph.nodes.${id}`);
+    return reachable;
+  }
+
+  function validateHeightGraph(graph) {
+    const problems = [];
+    orderHeightGraph(graph, problems);
+    return problems;
+  }
+
+  // Evaluator for `graph` under a seed. `sample(x, z)` runs the graph at one
+  // point; `sampleGrid(out, xs, zs, step)` fills a row-major grid, running
+  // erosion nodes over the whole grid.
+  function compileHeightGraph(graph, { seed, config }) {
+    const problems = [];
+    const order = orderHeightGraph(graph, problems);
+    if (problems.length) throw new Error(`Invalid height graph: ${problems.join('; ')}`);
+
+    const nodes = order.map(({ id, node, spec, inputs }) => ({
+      id,
+      node,
+      grid: !!spec.grid,
+      generate: spec.arity === 0 ? spec.create(node, { seed, config }, id) : null,
+      combine: spec.arity === 0 ? null : spec.create(node, { seed, config }, id),
+      inputs: inputs.map((input) => order.indexOf(input)),
+      args: new Array(inputs.length),
+    }));
+    const values = new Float64Array(nodes.length);
+    const output = nodes.length - 1;
+
+    const sample = (x, z) => {
+      for (let n = 0; n < nodes.length; n++) {
+        const { generate, combine, inputs, args } = nodes[n];
+        if (generate) {
+          values[n] = generate(x, z);
+        } else {
+          for (let k = 0; k < inputs.length; k++) args[k] = values[inputs[k]];
+          values[n] = combine(args);
+        }
+      }
+      return Math.max(-1, Math.min(1, values[output]));
+    };
+
+    const sampleGrid = (out, xs, zs, step) => {
+      const side = xs.length;
+      const grids = [];
+      for (let n = 0; n < nodes.length; n++) {
+        const { id, node, grid, generate, combine, inputs, args } = nodes[n];
+        const values = new Float64Array(side * side);
+        if (generate) {
+          for (let pz = 0; pz < side; pz++) {
+            for (let px = 0; px < side; px++) values[pz * side + px] = generate(xs[px], zs[pz]);
+          }
+        } else if (grid) {
+          values.set(grids[inputs[0]]);
+          applyErosion(values, side, { seed: `${seed}:graph:${id}`, config, erosion: node, resolution: side - 3, step });
+        } else {
+          for (let i = 0; i < values.length; i++) {
+            for (let k = 0; k < inputs.length; k++) args[k] = grids[inputs[k]][i];
+            values[i] = combine(args);
+          }
+        }
+        grids.push(values);
+      }
+      const result = grids[output];
+      for (let i = 0; i < result.length; i++) out[i] = Math.max(-1, Math.min(1, result[i]));
+      return out;
+    };
+
+    return { sample, sampleGrid };
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // HEIGHT SOURCES - Normalized height and colour at any world coordinate
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  // Weights below this are skipped so blends only sample nearby biomes
+  const MIN_BIOME_WEIGHT = 1e-3;
+
+  // Presets whose noise block arrived with generator 2. Generator 1 samples
+  // them (or copies sent to workers) with the plain fbm they had before.
+  const NOISE_PRESETS = ['volcanic', 'alien', 'canyon'];
+
+  function presetNoiseFor(config, generator) {
+    if (generator >= 2 || !config.noise) return config;
+    const preset = NOISE_PRESETS.some((key) => BIOMES[key].name === config.name &&
+      JSON.stringify(BIOMES[key].noise) === JSON.stringify(config.noise));
+    return preset ? { ...config, noise: undefined } : config;
+  }
+
+  // Height function for one biome: its graph when it has one, else its noise
+  function createBiomeSampler(seed, noise, biome, generator = GENERATOR_VERSION) {
+    const config = presetNoiseFor(biome, generator);
+    return config.graph
+      ? compileHeightGraph(config.graph, { seed, config })
+      : { sample: (x, z) => sampleTerrainHeight(noise, config, x, z), sampleGrid: null };
+  }
+
+  function createBiomeSource(seed, config, generator) {
+    const { sample, sampleGrid } = createBiomeSampler(seed, createTerrainNoise(seed), config, generator);
+    return {
+      config,
+      sample,
+      sampleGrid,
+      color: (x, z, height, out, surface) => getVertexColor(height, config, out, surface),
+    };
+  }
+
+  // Synthetic config describing a multi-biome world. Normalized heights are
+  // relative to the tallest member biome's heightScale.
+  function createWorldConfig(world) {
+    const settings = resolveWorld(world);
+    return {
+      name: settings.name,
+      heightScale: Math.max(...settings.biomes.map((b) => b.heightScale)),
+      noiseScale: settings.climateScale,
+      octaves: 3,
+      colors: null,
+      wireColor: settings.wireColor,
+      thresholds: null,
+      water: settings.water,
+      rivers: settings.rivers,
+      erosion: settings.erosion,
+      world: settings,
+    };
+  }
+
+  // Blends each biome's world-space height and colour by its climate weight
+  function createWorldSource(seed, world, generator) {
+    const noise = createTerrainNoise(seed);
+    const config = createWorldConfig(world);
+    const map = createBiomeMap(seed, world);
+    const { biomes } = map;
+    const { heightScale } = config;
+    const samplers = biomes.map((biome) => createBiomeSampler(seed, noise, biome, generator).sample);
+    const blended = {};
+
+    return {
+      config,
+      biomeMap: map,
+      sample: (x, z) => {
+        const weights = map.weightsAt(x, z);
+        let y = 0;
+        for (let b = 0; b < biomes.length; b++) {
+          if (weights[b] < MIN_BIOME_WEIGHT) continue;
+          y += weights[b] * samplers[b](x, z) * biomes[b].heightScale;
+        }
+        return y / heightScale;
+      },
+      color: (x, z, height, out, surface) => {
+        const weights = map.weightsAt(x, z);
+        const y = height * heightScale;
+        out.r = 0; out.g = 0; out.b = 0;
+        for (let b = 0; b < biomes.length; b++) {
+          if (weights[b] < MIN_BIOME_WEIGHT) continue;
+          // Each biome colours the final elevation on its own height scale
+          getVertexColor(Math.max(-1, Math.min(1, y / biomes[b].heightScale)), biomes[b], blended, surface);
+          out.r += blended.r * weights[b];
+          out.g += blended.g * weights[b];
+          out.b += blended.b * weights[b];
+        }
+        return out;
+      },
+    };
+  }
+
+  function createHeightSource({ seed, biome, world, heightmap, generator }) {
+    const source = world
+      ? createWorldSource(seed, world, generator)
+      : createBiomeSource(seed, resolveBiome(biome), generator);
+    return heightmap ? layerHeightmap(source, heightmap) : source;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // HEIGHTMAP IMPORT - Imported or hand-painted data as the base height layer
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_HEIGHTMAP = {
+    data: null,            // Row-major samples, row 0 at -Z
+    width: 0,
+    height: 0,             // Rows; defaults to width
+    range: null,           // Input values mapped to -1..1; null = from the array type
+    size: 50,              // World units the map covers
+    center: [0, 0],        // World position of the map's centre
+    detail: 0,             // Weight of the procedural noise added on top
+  };
+
+  // Integer samples span their full range; floats are taken as already normalized
+  function defaultHeightmapRange(data) {
+    if (data instanceof Uint8Array || data instanceof Uint8ClampedArray) return [0, 255];
+    if (data instanceof Uint16Array) return [0, 65535];
+    return [-1, 1];
+  }
+
+  function resolveHeightmap(heightmap) {
+    const settings = { ...DEFAULT_HEIGHTMAP, ...heightmap };
+    const { data } = settings;
+    if (!data || !data.length) throw new Error('Heightmap has no data');
+    settings.width = settings.width || Math.round(Math.sqrt(data.length));
+    settings.height = settings.height || Math.round(data.length / settings.width);
+    if (settings.width * settings.height !== data.length) {
+      throw new Error(`Heightmap is ${data.length} samples, expected ${settings.width} x ${settings.height}`);
+    }
+    settings.range = settings.range || defaultHeightmapRange(data);
+    return settings;
+  }
+
+  // Bilinear lookup in world space, clamped to the edge samples outside the map.
+  // Pixel centres line up with the vertices exportHeightmapPNG writes, so an
+  // exported map re-imports onto the same grid.
+  function createHeightmapSampler(heightmap) {
+    const { data, width, height, range, size, center } = resolveHeightmap(heightmap);
+    const [min, max] = range;
+    const at = (px, pz) => ((data[pz * width + px] - min) / (max - min)) * 2 - 1;
+
+    return (x, z) => {
+      const u = Math.max(0, Math.min(width - 1, ((x - center[0]) / size + 0.5) * (width - 1)));
+      const v = Math.max(0, Math.min(height - 1, ((z - center[1]) / size + 0.5) * (height - 1)));
+      const x0 = Math.min(Math.floor(u), Math.max(0, width - 2));
+      const z0 = Math.min(Math.floor(v), Math.max(0, height - 2));
+      const x1 = Math.min(x0 + 1, width - 1);
+      const z1 = Math.min(z0 + 1, height - 1);
+      const fx = u - x0;
+      const fz = v - z0;
+      const top = at(x0, z0) + (at(x1, z0) - at(x0, z0)) * fx;
+      const bottom = at(x0, z1) + (at(x1, z1) - at(x0, z1)) * fx;
+      return top + (bottom - top) * fz;
+    };
+  }
+
+  // Heightmap replaces the noise as the base; `detail` mixes noise back in.
+  // Colours still come from the wrapped source's biome banding.
+  function layerHeightmap(source, heightmap) {
+    const sampleMap = createHeightmapSampler(heightmap);
+    const detail = heightmap.detail || 0;
+    return {
+      ...source,
+      sampleGrid: null,
+      sample: (x, z) => {
+        const height = sampleMap(x, z) + (detail ? detail * source.sample(x, z) : 0);
+        return Math.max(-1, Math.min(1, height));
+      },
+    };
+  }
+
+  // Headerless 8- or 16-bit samples, square unless width/height are given
+  function decodeHeightmapRAW(bytes, { width, height, bitDepth = 16, littleEndian = true } = {}) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = bitDepth === 16 ? bytes.byteLength >> 1 : bytes.byteLength;
+    const data = bitDepth === 16 ? new Uint16Array(count) : new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      data[i] = bitDepth === 16 ? view.getUint16(i * 2, littleEndian) : bytes[i];
+    }
+    const w = width || Math.round(Math.sqrt(count));
+    return { data, width: w, height: height || Math.round(count / w) };
+  }
+
+  // Uses the platform's zlib through DecompressionStream (browsers, Node 18+)
+  async function inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('PNG heightmaps need DecompressionStream support');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+  function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+  }
+
+  // Non-interlaced 8/16-bit grey, grey+alpha, RGB or RGBA PNG; the first
+  // channel is the height, so painted greyscale images work as-is
+  async function decodeHeightmapPNG(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(0) !== 0x89504E47) throw new Error('Not a PNG file');
+
+    let width = 0;
+    let height = 0;
+    let bitDepth = 8;
+    let colorType = 0;
+    const idat = [];
+    for (let o = 8; o < bytes.length;) {
+      const length = view.getUint32(o);
+      const type = String.fromCharCode(...bytes.subarray(o + 4, o + 8));
+      if (type === 'IHDR') {
+        width = view.getUint32(o + 8);
+        height = view.getUint32(o + 12);
+        bitDepth = bytes[o + 16];
+        colorType = bytes[o + 17];
+        if (bytes[o + 20] !== 0) throw new Error('Interlaced PNG heightmaps are not supported');
+      } else if (type === 'IDAT') {
+        idat.push(bytes.subarray(o + 8, o + 8 + length));
+      } else if (type === 'IEND') {
+        break;
+      }
+      o += 12 + length;
+    }
+
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels || (bitDepth !== 8 && bitDepth !== 16)) {
+      throw new Error(`Unsupported PNG heightmap (colour type ${colorType}, ${bitDepth}-bit)`);
+    }
+
+    const compressed = new Uint8Array(idat.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of idat) {
+      compressed.set(part, offset);
+      offset += part.length;
+    }
+    const raw = await inflate(compressed);
+
+    // Undo the per-scanline filters in place
+    const bpp = channels * (bitDepth / 8);
+    const stride = width * bpp;
+    const pixels = new Uint8Array(height * stride);
+    for (let y = 0; y < height; y++) {
+      const filter = raw[y * (stride + 1)];
+      const src = y * (stride + 1) + 1;
+      const row = y * stride;
+      for (let i = 0; i < stride; i++) {
+        const a = i >= bpp ? pixels[row + i - bpp] : 0;
+        const b = y > 0 ? pixels[row - stride + i] : 0;
+        const c = i >= bpp && y > 0 ? pixels[row - stride + i - bpp] : 0;
+        const predictor = filter === 1 ? a : filter === 2 ? b : filter === 3 ? (a + b) >> 1 :
+          filter === 4 ? paeth(a, b, c) : 0;
+        pixels[row + i] = (raw[src + i] + predictor) & 0xFF;
+      }
+    }
+
+    const data = bitDepth === 16 ? new Uint16Array(width * height) : new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+      const p = i * bpp;
+      data[i] = bitDepth === 16 ? (pixels[p] << 8) | pixels[p + 1] : pixels[p];
+    }
+    return { data, width, height };
+  }
+
+  // Sniffs the PNG signature; anything else is read as RAW
+  async function decodeHeightmap(bytes, options) {
+    const isPNG = bytes.length > 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E;
+    return isPNG ? decodeHeightmapPNG(bytes) : decodeHeightmapRAW(bytes, options);
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // GRID HELPERS - Row-major (x fastest), rows run from -z to +z
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  // Same triangle layout as THREE.PlaneGeometry rotated onto the XZ plane
+  function buildGridIndex(resolution) {
+    const side = resolution + 1;
+    const IndexArray = side * side > 65535 ? Uint32Array : Uint16Array;
+    const index = new IndexArray(resolution * resolution * 6);
+    let k = 0;
+    for (let iz = 0; iz < resolution; iz++) {
+      for (let ix = 0; ix < resolution; ix++) {
+        const a = ix + side * iz;
+        const b = ix + side * (iz + 1);
+        const c = (ix + 1) + side * (iz + 1);
+        const d = (ix + 1) + side * iz;
+        index[k++] = a; index[k++] = b; index[k++] = d;
+        index[k++] = b; index[k++] = c; index[k++] = d;
+      }
+    }
+    return index;
+  }
+
+  // Central-difference normals over a grid padded by one sample on every side,
+  // so patch borders get the same normals their neighbours would compute
+  function computeGridNormals(padded, paddedSide, step, heightScale, normals = null) {
+    const side = paddedSide - 2;
+    normals = normals || new Float32Array(side * side * 3);
+    const inv = heightScale / (2 * step);
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        const p = (iz + 1) * paddedSide + (ix + 1);
+        const dx = (padded[p + 1] - padded[p - 1]) * inv;
+        const dz = (padded[p + paddedSide] - padded[p - paddedSide]) * inv;
+        const len = Math.sqrt(dx * dx + 1 + dz * dz);
+        const o = (iz * side + ix) * 3;
+        normals[o] = -dx / len;
+        normals[o + 1] = 1 / len;
+        normals[o + 2] = -dz / len;
+      }
+    }
+    return normals;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // EROSION - Seeded droplet hydraulic erosion and thermal talus slumping
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_HYDRAULIC_EROSION = {
+    iterations: 0,      // Droplets for a 64x64 patch; scaled with patch area
+    strength: 0.3,      // Fraction of spare capacity picked up per step
+    inertia: 0.05,      // How much a droplet keeps its previous direction
+    capacity: 1,        // Sediment carried per unit of slope, speed and water
+    deposition: 0.3,    // Fraction of excess sediment dropped per step
+    evaporation: 0.02,  // Water lost per step
+    gravity: 4,
+    minSlope: 0.01,
+    maxSteps: 48,
+  };
+
+  const DEFAULT_THERMAL_EROSION = {
+    iterations: 0,      // Relaxation passes
+    talus: 1.2,         // Steepest stable slope (world rise / run)
+    strength: 0.5,      // Fraction of the excess moved per pass
+  };
+
+  function bilinearHeight(map, width, x, z) {
+    const cx = Math.floor(x);
+    const cz = Math.floor(z);
+    const fx = x - cx;
+    const fz = z - cz;
+    const i = cz * width + cx;
+    return map[i] * (1 - fx) * (1 - fz) +
+      map[i + 1] * fx * (1 - fz) +
+      map[i + width] * (1 - fx) * fz +
+      map[i + width + 1] * fx * fz;
+  }
+
+  // Spreads `amount` over the four cells around (cx + fx, cz + fz)
+  function depositBilinear(map, width, cx, cz, fx, fz, amount) {
+    const i = cz * width + cx;
+    map[i] += amount * (1 - fx) * (1 - fz);
+    map[i + 1] += amount * fx * (1 - fz);
+    map[i + width] += amount * (1 - fx) * fz;
+    map[i + width + 1] += amount * fx * fz;
+  }
+
+  function erodeHydraulic(map, width, options, rng) {
+    const {
+      iterations, strength, inertia, capacity, deposition,
+      evaporation, gravity, minSlope, maxSteps,
+    } = options;
+
+    for (let n = 0; n < iterations; n++) {
+      let x = rng.range(1, width - 2);
+      let z = rng.range(1, width - 2);
+      let dirX = 0;
+      let dirZ = 0;
+      let speed = 1;
+      let water = 1;
+      let sediment = 0;
+
+      for (let stepIndex = 0; stepIndex < maxSteps; stepIndex++) {
+        const cx = Math.floor(x);
+        const cz = Math.floor(z);
+        const fx = x - cx;
+        const fz = z - cz;
+        const i = cz * width + cx;
+
+        // Gradient and height at the droplet's current position
+        const h00 = map[i];
+        const h10 = map[i + 1];
+        const h01 = map[i + width];
+        const h11 = map[i + width + 1];
+        const gradX = (h10 - h00) * (1 - fz) + (h11 - h01) * fz;
+        const gradZ = (h01 - h00) * (1 - fx) + (h11 - h10) * fx;
+        const height = bilinearHeight(map, width, x, z);
+
+        dirX = dirX * inertia - gradX * (1 - inertia);
+        dirZ = dirZ * inertia - gradZ * (1 - inertia);
+        const len = Math.sqrt(dirX * dirX + dirZ * dirZ);
+        if (len === 0) break;
+        dirX /= len;
+        dirZ /= len;
+        x += dirX;
+        z += dirZ;
+
+        if (x < 1 || z < 1 || x >= width - 2 || z >= width - 2) break;
+
+        const deltaHeight = bilinearHeight(map, width, x, z) - height;
+        const carryCapacity = Math.max(-deltaHeight, minSlope) * speed * water * capacity;
+
+        if (sediment > carryCapacity || deltaHeight > 0) {
+          // Uphill: fill the pit behind us; otherwise drop the excess
+          const amount = deltaHeight > 0
+            ? Math.min(deltaHeight, sediment)
+            : (sediment - carryCapacity) * deposition;
+          sediment -= amount;
+          depositBilinear(map, width, cx, cz, fx, fz, amount);
+        } else {
+          // Never dig deeper than the drop, or droplets carve spikes
+          const amount = Math.min((carryCapacity - sediment) * strength, -deltaHeight);
+          sediment += amount;
+          depositBilinear(map, width, cx, cz, fx, fz, -amount);
+        }
+
+        speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * gravity));
+        water *= 1 - evaporation;
+      }
+    }
+  }
+
+  function erodeThermal(map, width, options, maxDiff) {
+    const { iterations, strength } = options;
+    const delta = new Float64Array(map.length);
+    const neighbours = [1, -1, width, -width];
+
+    for (let n = 0; n < iterations; n++) {
+      delta.fill(0);
+
+      // Material slides to every lower neighbour steeper than the talus slope;
+      // changes are buffered so the result doesn't depend on scan order
+      for (let z = 1; z < width - 1; z++) {
+        for (let x = 1; x < width - 1; x++) {
+          const i = z * width + x;
+          for (const offset of neighbours) {
+            const diff = map[i] - map[i + offset];
+            if (diff > maxDiff) {
+              const moved = (diff - maxDiff) * strength * 0.25;
+              delta[i] -= moved;
+              delta[i + offset] += moved;
+            }
+          }
+        }
+      }
+
+      for (let i = 0; i < map.length; i++) map[i] += delta[i];
+    }
+  }
+
+  // 0 on the outer ring, border row and first interior row of a padded grid
+  // (so shared edge normals stay identical), easing to 1 further in
+  function borderFadeWeight(x, z, width) {
+    const margin = Math.max(4, Math.round(width * 0.1));
+    const edge = Math.min(x, z, width - 1 - x, width - 1 - z);
+    const t = Math.max(0, Math.min(1, (edge - 2) / (margin - 2)));
+    return t * t * (3 - 2 * t);
+  }
+
+  // Blends a modified padded grid back to `original` near the patch border,
+  // so neighbouring chunks still meet on raw, unchanged noise
+  function fadeIntoBorder(map, original, width) {
+    for (let z = 0; z < width; z++) {
+      for (let x = 0; x < width; x++) {
+        const i = z * width + x;
+        const weight = borderFadeWeight(x, z, width);
+        map[i] = Math.max(-1, Math.min(1, original[i] + (map[i] - original[i]) * weight));
+      }
+    }
+  }
+
+  // Explicit options override the biome's; `false` disables erosion entirely
+  function resolveErosion(config, erosion) {
+    const source = erosion === undefined ? config.erosion : erosion;
+    if (!source) return null;
+    return {
+      hydraulic: { ...DEFAULT_HYDRAULIC_EROSION, ...source.hydraulic },
+      thermal: { ...DEFAULT_THERMAL_EROSION, ...source.thermal },
+    };
+  }
+
+  // Erodes a padded heightfield in place, fading out towards the patch border
+  function applyErosion(map, width, { seed, config, erosion, resolution, step }) {
+    const settings = resolveErosion(config, erosion);
+    if (!settings) return;
+    const { hydraulic, thermal } = settings;
+    if (hydraulic.iterations <= 0 && thermal.iterations <= 0) return;
+
+    const original = Float64Array.from(map);
+    const rng = new SeededRNG(`${seed}:erosion`);
+
+    if (hydraulic.iterations > 0) {
+      const scaled = Math.round(hydraulic.iterations * (resolution * resolution) / (64 * 64));
+      erodeHydraulic(map, width, { ...hydraulic, iterations: scaled }, rng);
+    }
+    if (thermal.iterations > 0) {
+      erodeThermal(map, width, thermal, thermal.talus * step / config.heightScale);
+    }
+
+    fadeIntoBorder(map, original, width);
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // WATER - Sea level surfaces and seeded river channels
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_WATER = {
+    level: -1,          // Normalized height of the water surface
+    color: '#1e5a8c',
+    opacity: 0.6,
+    wireframe: false,
+    wireColor: '#4fc3f7',
+  };
+
+  const DEFAULT_RIVERS = {
+    count: 0,           // Rivers per RIVER_AREA x RIVER_AREA world units
+    depth: 0.1,         // Channel depth in normalized height
+    width: 1.5,         // Channel half-width in world units
+    length: 80,         // Longest river in world units
+    minSourceHeight: 0.3,
+    maxBreach: 0.08,    // Highest rise a river cuts through before pooling
+    sourceAttempts: 24, // Candidate springs sampled per cell; the highest wins
+  };
+
+  // Springs come from a world-aligned grid of cells, one per RIVER_AREA^2 /
+  // count, and rivers walk a world-aligned lattice RIVER_STEP apart, so a seed
+  // carves the same rivers at any resolution, patch size or origin
+  const RIVER_AREA = 50;
+  const RIVER_STEP = 1;
+  // Banks ease out to this many channel half-widths with zero slope, so the
+  // carve has no hard rim to alias and coarse grids still catch narrow rivers
+  const RIVER_BANK = 1.5;
+
+  function resolveWater(config) {
+    return config.water ? { ...DEFAULT_WATER, ...config.water } : null;
+  }
+
+  function resolveRivers(config, rivers) {
+    const source = rivers === undefined ? config.rivers : rivers;
+    return source ? { ...DEFAULT_RIVERS, ...source } : null;
+  }
+
+  // Follows steepest descent over the river lattice from a spring at lattice
+  // point [ix, iz] down to sea level or `length`. Small pits are breached by
+  // taking the lowest neighbour; a rise above `maxBreach` ends the river in a
+  // pool instead. Returns [x, z, bed] world points; the bed never rises.
+  function traceRiver(height, [ix, iz], seaLevel, { maxBreach, length }) {
+    const path = [];
+    const visited = new Set();
+    let bed = height(ix, iz);
+
+    while (path.length <= length / RIVER_STEP) {
+      const here = height(ix, iz);
+      bed = Math.min(bed, here);
+      path.push([ix * RIVER_STEP, iz * RIVER_STEP, bed]);
+      visited.add(`${ix},${iz}`);
+      if (here <= seaLevel) break;
+
+      let next = null;
+      let lowest = Infinity;
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((!dx && !dz) || visited.has(`${ix + dx},${iz + dz}`)) continue;
+          const h = height(ix + dx, iz + dz);
+          if (h < lowest) {
+            lowest = h;
+            next = [ix + dx, iz + dz];
+          }
+        }
+      }
+      if (!next || lowest > bed + maxBreach) break;
+      [ix, iz] = next;
+    }
+    return path;
+  }
+
+  // Rasterizes a river path onto the padded grid, keeping for each sample the
+  // strongest channel over it (mask) and the bed it is pulled towards (beds)
+  function stampRiver(path, xs, zs, radius, depth, mask, beds) {
+    const width = xs.length;
+    const step = xs[1] - xs[0];
+    const last = Math.max(1, path.length - 1);
+
+    for (let k = 0; k < path.length; k++) {
+      const [x0, z0, b0] = path[k];
+      const [x1, z1, b1] = path[Math.min(k + 1, path.length - 1)];
+      const dx = x1 - x0;
+      const dz = z1 - z0;
+      const length2 = dx * dx + dz * dz;
+      // Channels widen towards the mouth
+      const reach = RIVER_BANK * radius * (0.6 + 0.4 * Math.min(1, (k + 1) / last));
+
+      const pxMin = Math.max(0, Math.ceil((Math.min(x0, x1) - reach - xs[0]) / step));
+      const pxMax = Math.min(width - 1, Math.floor((Math.max(x0, x1) + reach - xs[0]) / step));
+      const pzMin = Math.max(0, Math.ceil((Math.min(z0, z1) - reach - zs[0]) / step));
+      const pzMax = Math.min(width - 1, Math.floor((Math.max(z0, z1) + reach - zs[0]) / step));
+
+      for (let pz = pzMin; pz <= pzMax; pz++) {
+        for (let px = pxMin; px <= pxMax; px++) {
+          const x = xs[px];
+          const z = zs[pz];
+          const u = length2 ? Math.max(0, Math.min(1, ((x - x0) * dx + (z - z0) * dz) / length2)) : 0;
+          const channel = radius * (0.6 + 0.4 * Math.min(1, (k + u) / last));
+          const d = Math.hypot(x - x0 - dx * u, z - z0 - dz * u) / (channel * RIVER_BANK);
+          if (d >= 1) continue;
+          const falloff = (1 - d * d) * (1 - d * d);
+          const j = pz * width + px;
+          if (falloff <= mask[j]) continue;
+          // Full depth on the centre line, easing into the original banks
+          mask[j] = falloff;
+          beds[j] = b0 + (b1 - b0) * u - depth * falloff;
+        }
+      }
+    }
+  }
+
+  // Carves river channels into a padded heightfield (sampled at xs, zs) in
+  // place and returns a per-sample 0-1 mask of where water runs. Rivers are
+  // traced on the source's raw heights in world space, including those that
+  // spring outside the patch and flow into it.
+  function carveRivers(map, xs, zs, { seed, config, rivers, source }) {
+    const mask = new Float64Array(map.length);
+    const settings = resolveRivers(config, rivers);
+    if (!settings || settings.count <= 0) return mask;
+
+    const water = resolveWater(config);
+    const seaLevel = water ? water.level : -1;
+    const radius = settings.width;
+    const cell = RIVER_AREA / Math.sqrt(settings.count);
+    const beds = new Float64Array(map.length);
+
+    const lattice = new Map();
+    const height = (ix, iz) => {
+      const key = `${ix},${iz}`;
+      let h = lattice.get(key);
+      if (h === undefined) {
+        h = source.sample(ix * RIVER_STEP, iz * RIVER_STEP);
+        lattice.set(key, h);
+      }
+      return h;
+    };
+
+    // Cells close enough for their river to reach the patch
+    const margin = settings.length + radius * RIVER_BANK;
+    const last = xs.length - 1;
+    for (let cz = Math.floor((zs[0] - margin) / cell); cz <= Math.floor((zs[last] + margin) / cell); cz++) {
+      for (let cx = Math.floor((xs[0] - margin) / cell); cx <= Math.floor((xs[last] + margin) / cell); cx++) {
+        const rng = new SeededRNG(`${seed}:rivers:${cx}:${cz}`);
+        let spring = null;
+        let springHeight = -Infinity;
+        for (let a = 0; a < settings.sourceAttempts; a++) {
+          const ix = Math.floor(((cx + rng.next()) * cell) / RIVER_STEP);
+          const iz = Math.floor(((cz + rng.next()) * cell) / RIVER_STEP);
+          const h = height(ix, iz);
+          if (h > springHeight) {
+            spring = [ix, iz];
+            springHeight = h;
+          }
+        }
+        if (springHeight < settings.minSourceHeight) continue;
+        stampRiver(traceRiver(height, spring, seaLevel, settings), xs, zs, radius, settings.depth, mask, beds);
+      }
+    }
+
+    for (let j = 0; j < map.length; j++) {
+      if (mask[j] > 0) map[j] = Math.min(map[j], map[j] + (beds[j] - map[j]) * mask[j]);
+    }
+    return mask;
+  }
+
+  // Generator 1: follows steepest descent from a high spring down to sea level
+  // or the patch border. Small pits are breached by taking the lowest neighbour; a rise
+  // above `maxBreach` ends the river in a pool instead.
+  function traceRiverV1(map, width, start, seaLevel, maxBreach) {
+    const path = [];
+    const visited = new Set();
+    let current = start;
+    let bed = map[start];
+
+    while (path.length < width * 4) {
+      path.push(current);
+      visited.add(current);
+      if (map[current] <= seaLevel) break;
+
+      const x = current % width;
+      const z = (current - x) / width;
+      if (x <= 1 || z <= 1 || x >= width - 2 || z >= width - 2) break;
+
+      let next = -1;
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const j = current + dz * width + dx;
+          if ((dx || dz) && !visited.has(j) && (next === -1 || map[j] < map[next])) next = j;
+        }
+      }
+      if (next === -1 || map[next] > bed + maxBreach) break;
+      current = next;
+      bed = Math.min(bed, map[current]);
+    }
+    return path;
+  }
+
+  // Generator 1 rivers: springs picked by grid index, so they move with the
+  // resolution and patch. Kept so worlds stamped generator 1 regenerate as saved.
+  function carveRiversV1(map, width, { seed, config, rivers, step }) {
+    const mask = new Float64Array(map.length);
+    const settings = resolveRivers(config, rivers);
+    if (!settings || settings.count <= 0) return mask;
+
+    const water = resolveWater(config);
+    const seaLevel = water ? water.level : -1;
+    const original = Float64Array.from(map);
+    const rng = new SeededRNG(`${seed}:rivers`);
+    const radius = Math.max(1, settings.width / step);
+    const reach = Math.ceil(radius);
+
+    for (let r = 0; r < settings.count; r++) {
+      let spring = -1;
+      for (let a = 0; a < settings.sourceAttempts; a++) {
+        const x = 2 + Math.floor(rng.next() * (width - 4));
+        const z = 2 + Math.floor(rng.next() * (width - 4));
+        const i = z * width + x;
+        if (spring === -1 || map[i] > map[spring]) spring = i;
+      }
+      if (map[spring] < settings.minSourceHeight) continue;
+
+      const path = traceRiverV1(map, width, spring, seaLevel, settings.maxBreach);
+      let bed = Infinity;
+
+      path.forEach((i, k) => {
+        // The bed never rises downstream; channels widen towards the mouth
+        bed = Math.min(bed, map[i]);
+        const t = path.length > 1 ? k / (path.length - 1) : 1;
+        const channel = radius * (0.6 + 0.4 * t);
+        const cx = i % width;
+        const cz = (i - cx) / width;
+
+        for (let dz = -reach; dz <= reach; dz++) {
+          for (let dx = -reach; dx <= reach; dx++) {
+            const x = cx + dx;
+            const z = cz + dz;
+            if (x < 0 || z < 0 || x >= width || z >= width) continue;
+            const d = Math.sqrt(dx * dx + dz * dz) / channel;
+            if (d >= 1) continue;
+            const falloff = 1 - d * d;
+            const j = z * width + x;
+            // Full depth on the centre line, easing into the original banks
+            const target = bed - settings.depth * falloff;
+            map[j] = Math.min(map[j], map[j] + (target - map[j]) * falloff);
+            mask[j] = Math.max(mask[j], falloff);
+          }
+        }
+      });
+    }
+
+    fadeIntoBorder(map, original, width);
+    for (let z = 0; z < width; z++) {
+      for (let x = 0; x < width; x++) mask[z * width + x] *= borderFadeWeight(x, z, width);
+    }
+    return mask;
+  }
+
+  // Vertex colours with the biome's water composited over submerged ground,
+  // for top-down views (minimap, exports) that have no separate water mesh
+  function getSurfaceColors(field) {
+    const water = resolveWater(field.biome);
+    if (!water) return field.colors;
+
+    const tint = parseColor(water.color);
+    const out = new Float32Array(field.colors);
+    const color = {};
+    for (let i = 0; i < field.heights.length; i++) {
+      if (field.heights[i] >= water.level) continue;
+      color.r = out[i * 3];
+      color.g = out[i * 3 + 1];
+      color.b = out[i * 3 + 2];
+      lerpColor(color, tint, water.opacity, color);
+      out[i * 3] = color.r;
+      out[i * 3 + 1] = color.g;
+      out[i * 3 + 2] = color.b;
+    }
+    return out;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // SCULPTING - Brush edits stored as a delta layer over the seeded terrain
+  // ═════════════════════════════════════════════════════════════════════════════
+  const SCULPT_TOOLS = ['raise', 'lower', 'smooth', 'flatten', 'noise'];
+
+  const DEFAULT_BRUSH = {
+    tool: 'raise',
+    radius: 4,             // World units
+    strength: 0.5,         // 0-1 per dab, see SculptLayer.applyBrush
+    falloff: 'smooth',     // 'smooth' | 'linear' | 'constant'
+    noiseScale: 0.4,       // Frequency of the noise stamp
+  };
+
+  // Raise, lower and noise move at most this much normalized height per dab
+  const BRUSH_RATE = 0.1;
+
+  function brushWeight(distance, radius, falloff) {
+    if (distance >= radius) return 0;
+    const t = 1 - distance / radius;
+    if (falloff === 'constant') return 1;
+    if (falloff === 'linear') return t;
+    return t * t * (3 - 2 * t);
+  }
+
+  // Deltas are rounded on write so a layer survives a JSON round trip exactly
+  const roundDelta = (value) => Math.round(value * 1e5) / 1e5;
+
+  // Sparse grid of normalized height offsets in world space, sampled
+  // bilinearly. Strokes are grouped for undo/redo.
+  class SculptLayer {
+    constructor({ cellSize = 0.5, cells = [], maxHistory = 100 } = {}) {
+      this.cellSize = cellSize;
+      this.cells = new Map();
+      this.maxHistory = maxHistory;
+      this.undoStack = [];
+      this.redoStack = [];
+      this.stroke = null;
+      this.flattenHeight = null;
+      this.version = 0;
+      this.noise = null;
+      for (const [ix, iz, delta] of cells) this.cells.set(`${ix},${iz}`, delta);
+    }
+
+    static fromJSON(json) {
+      return new SculptLayer(json);
+    }
+
+    get isEmpty() {
+      return this.cells.size === 0;
+    }
+
+    get canUndo() {
+      return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+      return this.redoStack.length > 0;
+    }
+
+    delta(ix, iz) {
+      return this.cells.get(`${ix},${iz}`) || 0;
+    }
+
+    sample(x, z) {
+      if (this.cells.size === 0) return 0;
+      const u = x / this.cellSize;
+      const v = z / this.cellSize;
+      const ix = Math.floor(u);
+      const iz = Math.floor(v);
+      const fx = u - ix;
+      const fz = v - iz;
+      const top = this.delta(ix, iz) + (this.delta(ix + 1, iz) - this.delta(ix, iz)) * fx;
+      const bottom = this.delta(ix, iz + 1) + (this.delta(ix + 1, iz + 1) - this.delta(ix, iz + 1)) * fx;
+      return top + (bottom - top) * fz;
+    }
+
+    // Writes a cell and remembers its first value in the open stroke
+    write(key, value) {
+      const before = this.cells.get(key) || 0;
+      const after = roundDelta(value);
+      if (!this.stroke.has(key)) this.stroke.set(key, [before, after]);
+      else this.stroke.get(key)[1] = after;
+      if (after === 0) this.cells.delete(key);
+      else this.cells.set(key, after);
+    }
+
+    beginStroke() {
+      if (this.stroke) this.endStroke();
+      this.stroke = new Map();
+      this.flattenHeight = null;
+    }
+
+    endStroke() {
+      if (!this.stroke) return;
+      if (this.stroke.size > 0) {
+        this.undoStack.push(this.stroke);
+        if (this.undoStack.length > this.maxHistory) this.undoStack.shift();
+        this.redoStack = [];
+      }
+      this.stroke = null;
+    }
+
+    // One dab at (x, z). `baseHeightAt(x, z)` returns the unsculpted normalized
+    // height, needed by smooth and flatten. Raise, lower and noise move up to
+    // strength * BRUSH_RATE per dab; smooth and flatten blend `strength` of
+    // the way to their target.
+    applyBrush(x, z, brush, baseHeightAt) {
+      const { tool, radius, strength, falloff, noiseScale } = { ...DEFAULT_BRUSH, ...brush };
+      if (!SCULPT_TOOLS.includes(tool)) {
+        throw new Error(`Unknown sculpt tool "${tool}" (expected one of ${SCULPT_TOOLS.join(', ')})`);
+      }
+      const openedStroke = !this.stroke;
+      if (openedStroke) this.beginStroke();
+
+      const cs = this.cellSize;
+      const heightAt = (ix, iz) => baseHeightAt(ix * cs, iz * cs) + this.delta(ix, iz);
+      if (tool === 'flatten' && this.flattenHeight === null) {
+        this.flattenHeight = baseHeightAt(x, z) + this.sample(x, z);
+      }
+      if (tool === 'noise' && !this.noise) this.noise = createTerrainNoise('sculpt-noise');
+
+      // Targets are computed before any write so smoothing is order-independent
+      const updates = [];
+      for (let iz = Math.ceil((z - radius) / cs); iz <= Math.floor((z + radius) / cs); iz++) {
+        for (let ix = Math.ceil((x - radius) / cs); ix <= Math.floor((x + radius) / cs); ix++) {
+          const w = brushWeight(Math.hypot(ix * cs - x, iz * cs - z), radius, falloff);
+          if (w <= 0) continue;
+
+          let change = 0;
+          if (tool === 'raise') change = strength * BRUSH_RATE * w;
+          else if (tool === 'lower') change = -strength * BRUSH_RATE * w;
+          else if (tool === 'noise') {
+            change = strength * BRUSH_RATE * w * this.noise.noise2D(ix * cs * noiseScale, iz * cs * noiseScale);
+          } else {
+            const height = heightAt(ix, iz);
+            const target = tool === 'flatten' ? this.flattenHeight : (
+              heightAt(ix - 1, iz) + heightAt(ix + 1, iz) + heightAt(ix, iz - 1) + heightAt(ix, iz + 1) + height
+            ) / 5;
+            change = (target - height) * Math.min(1, strength) * w;
+          }
+          updates.push(ix, iz, this.delta(ix, iz) + change);
+        }
+      }
+
+      for (let i = 0; i < updates.length; i += 3) {
+        this.write(`${updates[i]},${updates[i + 1]}`, updates[i + 2]);
+      }
+      if (openedStroke) this.endStroke();
+      this.version++;
+    }
+
+    restore(stroke, slot) {
+      for (const [key, values] of stroke) {
+        if (values[slot] === 0) this.cells.delete(key);
+        else this.cells.set(key, values[slot]);
+      }
+      this.version++;
+    }
+
+    undo() {
+      this.endStroke();
+      const stroke = this.undoStack.pop();
+      if (!stroke) return false;
+      this.restore(stroke, 0);
+      this.redoStack.push(stroke);
+      return true;
+    }
+
+    redo() {
+      const stroke = this.redoStack.pop();
+      if (!stroke) return false;
+      this.restore(stroke, 1);
+      this.undoStack.push(stroke);
+      return true;
+    }
+
+    // Clearing is itself a stroke, so it can be undone
+    clear() {
+      this.beginStroke();
+      for (const key of [...this.cells.keys()]) this.write(key, 0);
+      this.endStroke();
+      this.version++;
+    }
+
+    // Cells sorted by row then column so equal layers serialize identically
+    toJSON() {
+      const cells = [...this.cells].map(([key, delta]) => [...key.split(',').map(Number), delta]);
+      cells.sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+      return { cellSize: this.cellSize, cells };
+    }
+  }
+
+  // Accepts a SculptLayer, its JSON (as sent to workers) or a structured
+  // clone of one, which arrives as a plain object still holding its cells Map
+  function resolveSculpt(sculpt) {
+    if (sculpt instanceof SculptLayer) return sculpt;
+    const { cellSize, cells = [] } = sculpt;
+    if (cells instanceof Map) {
+      const layer = new SculptLayer({ cellSize });
+      for (const [key, delta] of cells) layer.cells.set(key, delta);
+      return layer;
+    }
+    if (!Array.isArray(cells)) {
+      throw new Error('Sculpt cells must be a Map or an array of [ix, iz, delta] triples');
+    }
+    return SculptLayer.fromJSON(sculpt);
+  }
+
+  // Unsculpted height at any point inside a field, bilinear over its base grid
+  function sampleBaseHeight(field, x, z) {
+    const { resolution, size, origin, base } = field;
+    const paddedSide = resolution + 3;
+    const step = size / resolution;
+    const u = Math.max(0, Math.min(paddedSide - 1.001, (x - origin[0]) / step + resolution / 2 + 1));
+    const v = Math.max(0, Math.min(paddedSide - 1.001, (z - origin[1]) / step + resolution / 2 + 1));
+    const px = Math.floor(u);
+    const pz = Math.floor(v);
+    const fx = u - px;
+    const fz = v - pz;
+    const p = pz * paddedSide + px;
+    const top = base[p] + (base[p + 1] - base[p]) * fx;
+    const bottom = base[p + paddedSide] + (base[p + paddedSide + 1] - base[p + paddedSide]) * fx;
+    return top + (bottom - top) * fz;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // HEIGHTFIELD GENERATION - Typed arrays consumed by every renderer
+  // ═════════════════════════════════════════════════════════════════════════════
+  function generateHeightfield({
+    seed = 'default-terrain-seed',
+    biome = 'grassland',
+    resolution = 64,
+    size = 50,
+    origin = [0, 0],
+    world = null,
+    heightmap = null,
+    erosion,
+    rivers,
+    sculpt = null,
+    generator = GENERATOR_VERSION,
+  } = {}) {
+    if (generator > GENERATOR_VERSION) {
+      throw new Error(`Generator ${generator} is newer than this build's generator ${GENERATOR_VERSION}`);
+    }
+    const source = createHeightSource({ seed, biome, world, heightmap, generator });
+    const { config } = source;
+
+    const paddedSide = resolution + 3;
+    const step = size / resolution;
+
+    // Sample heights, including a one-sample border used only for normals
+    const xs = new Float64Array(paddedSide);
+    const zs = new Float64Array(paddedSide);
+    for (let p = 0; p < paddedSide; p++) {
+      xs[p] = origin[0] + (p - 1 - resolution / 2) * step;
+      zs[p] = origin[1] + (p - 1 - resolution / 2) * step;
+    }
+    const padded = new Float64Array(paddedSide * paddedSide);
+    if (source.sampleGrid) {
+      source.sampleGrid(padded, xs, zs, step);
+    } else {
+      for (let pz = 0; pz < paddedSide; pz++) {
+        for (let px = 0; px < paddedSide; px++) padded[pz * paddedSide + px] = source.sample(xs[px], zs[pz]);
+      }
+    }
+
+    // Erosion reshapes the raw noise before colours and normals are derived
+    applyErosion(padded, paddedSide, { seed, config, erosion, resolution, step });
+    const riverMask = generator < 2
+      ? carveRiversV1(padded, paddedSide, { seed, config, rivers, step })
+      : carveRivers(padded, xs, zs, { seed, config, rivers, source });
+
+    const side = resolution + 1;
+    const river = new Float32Array(side * side);
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        river[iz * side + ix] = riverMask[(iz + 1) * paddedSide + (ix + 1)];
+      }
+    }
+
+    // `base` keeps the generated heights so sculpt edits can be re-applied
+    // without regenerating the noise, erosion and rivers; `sculpt` is the
+    // layer the surface was built with
+    const field = {
+      seed,
+      generator,
+      biome: config,
+      resolution,
+      size,
+      origin: [origin[0], origin[1]],
+      base: padded,
+      river,
+      sculpt,
+      index: buildGridIndex(resolution),
+    };
+    return Object.assign(field, buildSurface(field, source, sculpt));
+  }
+
+  // Slope (degrees), curvature and aspect at padded sample `p` for colour rules
+  function describeGround(grid, paddedSide, p, step, heightScale, out) {
+    const left = grid[p - 1] * heightScale;
+    const right = grid[p + 1] * heightScale;
+    const up = grid[p - paddedSide] * heightScale;
+    const down = grid[p + paddedSide] * heightScale;
+    const centre = grid[p] * heightScale;
+    const gx = (right - left) / (2 * step);
+    const gz = (down - up) / (2 * step);
+    out.slope = Math.atan(Math.hypot(gx, gz)) * 180 / Math.PI;
+    out.curvature = (left + right + up + down - 4 * centre) / (step * step);
+    out.aspect = ((Math.atan2(-gx, gz) * 180 / Math.PI) + 360) % 360;
+    return out;
+  }
+
+  // Heights, positions, colours and normals from the base grid plus edits
+  function buildSurface(field, source, sculpt) {
+    const { resolution, size, origin, base } = field;
+    const layer = sculpt ? resolveSculpt(sculpt) : null;
+
+    const side = resolution + 1;
+    const paddedSide = resolution + 3;
+    const step = size / resolution;
+    const grid = layer ? new Float64Array(base) : base;
+
+    if (layer) {
+      for (let pz = 0; pz < paddedSide; pz++) {
+        const z = origin[1] + (pz - 1 - resolution / 2) * step;
+        for (let px = 0; px < paddedSide; px++) {
+          const x = origin[0] + (px - 1 - resolution / 2) * step;
+          const p = pz * paddedSide + px;
+          grid[p] = Math.max(-1, Math.min(1, grid[p] + layer.sample(x, z)));
+        }
+      }
+    }
+
+    const count = side * side;
+    return paintSurface(field, grid, source, {
+      heights: new Float32Array(count),
+      positions: new Float32Array(count * 3),
+      colors: new Float32Array(count * 3),
+      normals: new Float32Array(count * 3),
+    });
+  }
+
+  // Colour noise, water and road colours and scratch objects for painting
+  // `field`; LivingTerrain keeps one instead of rebuilding it every frame
+  function createPaint(field) {
+    const water = resolveWater(field.biome);
+    return {
+      color: {},
+      riverColor: parseColor(water ? water.color : DEFAULT_WATER.color),
+      roadColor: field.road ? parseColor(field.roads.color) : null,
+      surface: { noise: createTerrainNoise(`${field.seed}:colors`) },
+    };
+  }
+
+  // Writes a padded height grid into `out`'s heights, positions, colours and
+  // normals in place, so animated surfaces can reuse their buffers
+  function paintSurface(field, grid, source, out, paint = createPaint(field)) {
+    const { resolution, size, origin, river, road } = field;
+    const config = field.biome;
+    const side = resolution + 1;
+    const paddedSide = resolution + 3;
+    const step = size / resolution;
+    const { heights, positions, colors } = out;
+    const { color, riverColor, roadColor, surface } = paint;
+
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        const i = iz * side + ix;
+        const p = (iz + 1) * paddedSide + (ix + 1);
+        const height = grid[p];
+        heights[i] = height;
+
+        const x = origin[0] + (ix - resolution / 2) * step;
+        const z = origin[1] + (iz - resolution / 2) * step;
+        positions[i * 3] = x;
+        positions[i * 3 + 1] = height * config.heightScale;
+        positions[i * 3 + 2] = z;
+
+        surface.x = x;
+        surface.z = z;
+        describeGround(grid, paddedSide, p, step, config.heightScale, surface);
+        source.color(x, z, height, color, surface);
+        if (river[i] > 0) lerpColor(color, riverColor, Math.min(1, river[i] * 1.5), color);
+        if (road && road[i] > 0) lerpColor(color, roadColor, road[i], color);
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+      }
+    }
+
+    computeGridNormals(grid, paddedSide, step, config.heightScale, out.normals);
+    return out;
+  }
+
+  // New field with `sculpt` applied over the generated base; the input field
+  // is left untouched so it can be re-sculpted after every brush dab
+  function applySculpt(field, sculpt) {
+    const config = field.biome;
+    const source = createHeightSource({ seed: field.seed, biome: config, world: config.world, generator: field.generator });
+    return { ...field, sculpt, ...buildSurface(field, source, sculpt) };
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // ANIMATION - Morphs between surfaces and living, time-evolving terrain
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_LIVING = {
+    speed: 0.1,           // Noise slices per second through 3D (or 4D) noise
+    amplitude: 0.5,       // Weight of the evolving noise over the field
+    drift: [0, 0],        // World units per second the evolving noise travels
+  };
+
+  // Defaults, then the biome's `living` block, then caller overrides
+  function resolveLiving(config, living) {
+    return { ...DEFAULT_LIVING, ...config.living, ...(typeof living === 'object' ? living : null) };
+  }
+
+  // Lerps positions, colours and normals of two same-sized surfaces into
+  // `out` (0 = from, 1 = to); heights follow when all three carry them
+  function blendSurfaces(from, to, t, out) {
+    for (const key of ['positions', 'colors', 'normals', 'heights']) {
+      const a = from[key];
+      const b = to[key];
+      const o = out[key];
+      if (!a || !b || !o) continue;
+      for (let i = 0; i < o.length; i++) o[i] = a[i] + (b[i] - a[i]) * t;
+    }
+    return out;
+  }
+
+  // A field's surface evolving over time. update(time) samples the biome's
+  // noise at slice `time * speed`, moved `drift * time`, and adds the change
+  // since time 0 (scaled by `amplitude`) to the field, so time 0 is the field
+  // exactly as generated, with erosion, rivers, roads and edits. heights,
+  // positions, colors and normals are this object's own arrays, rewritten in
+  // place every update; the field is left untouched.
+  class LivingTerrain {
+    constructor(field, living = true) {
+      const { resolution, size, origin, base, heights } = field;
+      const config = field.biome;
+      const paddedSide = resolution + 3;
+      const step = size / resolution;
+      this.field = field;
+      this.settings = resolveLiving(config, living);
+      this.noise = createTerrainNoise(field.seed);
+      this.source = createHeightSource({ seed: field.seed, biome: config, world: config.world, generator: field.generator });
+      this.paint = createPaint(field);
+
+      // A private copy of the biome whose resolved noise settings are built
+      // once; sampleNoise only moves their slice. Height-graph biomes evolve
+      // through this noise block too (fbm without one), not the graph
+      const { noise: block } = presetNoiseFor(config, field.generator ?? GENERATOR_VERSION);
+      const noise = typeof block === 'string' ? { type: block } : block;
+      this.start = noise ? noise.slice : undefined;
+      this.biome = {
+        ...config,
+        noise: { ...(noise || { type: 'fbm' }), slice: Array.isArray(this.start) ? [...this.start] : this.start },
+      };
+      this.noiseSettings = resolveNoise(this.biome);
+
+      this.xs = new Float64Array(paddedSide);
+      this.zs = new Float64Array(paddedSide);
+      for (let p = 0; p < paddedSide; p++) {
+        this.xs[p] = origin[0] + (p - 1 - resolution / 2) * step;
+        this.zs[p] = origin[1] + (p - 1 - resolution / 2) * step;
+      }
+
+      // Displayed heights inside, the generated border ring for normals
+      const side = resolution + 1;
+      this.rest = new Float64Array(base);
+      for (let iz = 0; iz < side; iz++) {
+        for (let ix = 0; ix < side; ix++) this.rest[(iz + 1) * paddedSide + ix + 1] = heights[iz * side + ix];
+      }
+      this.reference = this.sampleNoise(0, 0, 0, new Float64Array(paddedSide * paddedSide));
+      this.grid = new Float64Array(paddedSide * paddedSide);
+
+      this.heights = new Float32Array(field.heights);
+      this.positions = new Float32Array(field.positions);
+      this.colors = new Float32Array(field.colors);
+      this.normals = new Float32Array(field.normals);
+      this.time = 0;
+    }
+
+    // Biome noise over the padded grid `offset` slices past the biome's own,
+    // moved by (dx, dz)
+    sampleNoise(offset, dx, dz, out) {
+      const { start, noiseSettings, biome, noise, xs, zs } = this;
+      if (Array.isArray(start)) noiseSettings.slice[1] = start[1] + offset;
+      else noiseSettings.slice = biome.noise.slice = (start ?? 0) + offset;
+      const paddedSide = xs.length;
+      for (let pz = 0; pz < paddedSide; pz++) {
+        for (let px = 0; px < paddedSide; px++) {
+          out[pz * paddedSide + px] = sampleTerrainHeight(noise, biome, xs[px] - dx, zs[pz] - dz);
+        }
+      }
+      return out;
+    }
+
+    update(time) {
+      const { speed, amplitude, drift } = this.settings;
+      const { grid, rest, reference } = this;
+      this.sampleNoise(time * speed, drift[0] * time, drift[1] * time, grid);
+      for (let p = 0; p < grid.length; p++) {
+        grid[p] = Math.max(-1, Math.min(1, rest[p] + (grid[p] - reference[p]) * amplitude));
+      }
+      paintSurface(this.field, grid, this.source, this, this.paint);
+      this.time = time;
+      return this;
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // TERRAIN SAMPLER - Queries against the rendered, triangulated surface
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  const toVector = (v) => (Array.isArray(v) || ArrayBuffer.isView(v) ? [v[0], v[1], v[2]] : [v.x, v.y, v.z]);
+
+  // Reads the field's own vertex positions and triangulation (see
+  // buildGridIndex), so results match what is drawn exactly rather than the
+  // smooth noise underneath. Queries outside the field return null.
+  class TerrainSampler {
+    constructor(field) {
+      this.field = field;
+      this.resolution = field.resolution;
+      this.side = field.resolution + 1;
+      this.step = field.size / field.resolution;
+      this.minX = field.origin[0] - field.size / 2;
+      this.minZ = field.origin[1] - field.size / 2;
+
+      let minY = Infinity;
+      let maxY = -Infinity;
+      for (let i = 1; i < field.positions.length; i += 3) {
+        minY = Math.min(minY, field.positions[i]);
+        maxY = Math.max(maxY, field.positions[i]);
+      }
+      this.minY = minY;
+      this.maxY = maxY;
+    }
+
+    y(ix, iz) {
+      return this.field.positions[(iz * this.side + ix) * 3 + 1];
+    }
+
+    contains(x, z) {
+      const { minX, minZ } = this;
+      const size = this.field.size;
+      return x >= minX && x <= minX + size && z >= minZ && z <= minZ + size;
+    }
+
+    // Cell and position within it; the last row/column folds into the cell before
+    locate(x, z) {
+      if (!this.contains(x, z)) return null;
+      const u = (x - this.minX) / this.step;
+      const v = (z - this.minZ) / this.step;
+      const ix = Math.min(Math.floor(u), this.resolution - 1);
+      const iz = Math.min(Math.floor(v), this.resolution - 1);
+      return { ix, iz, fx: u - ix, fz: v - iz };
+    }
+
+    // Each cell is split along the (ix, iz + 1)-(ix + 1, iz) diagonal
+    getHeightAt(x, z) {
+      const cell = this.locate(x, z);
+      if (!cell) return null;
+      const { ix, iz, fx, fz } = cell;
+      if (fx + fz <= 1) {
+        const a = this.y(ix, iz);
+        return a + (this.y(ix + 1, iz) - a) * fx + (this.y(ix, iz + 1) - a) * fz;
+      }
+      const c = this.y(ix + 1, iz + 1);
+      return c + (this.y(ix, iz + 1) - c) * (1 - fx) + (this.y(ix + 1, iz) - c) * (1 - fz);
+    }
+
+    // Unit face normal of the triangle under (x, z), as { x, y, z }
+    getNormalAt(x, z, out = {}) {
+      const cell = this.locate(x, z);
+      if (!cell) return null;
+      const { ix, iz, fx, fz } = cell;
+      const s = this.step;
+      let nx;
+      let nz;
+      if (fx + fz <= 1) {
+        const a = this.y(ix, iz);
+        nx = -(this.y(ix + 1, iz) - a) / s;
+        nz = -(this.y(ix, iz + 1) - a) / s;
+      } else {
+        const c = this.y(ix + 1, iz + 1);
+        nx = -(c - this.y(ix, iz + 1)) / s;
+        nz = -(c - this.y(ix + 1, iz)) / s;
+      }
+      const length = Math.hypot(nx, 1, nz);
+      out.x = nx / length;
+      out.y = 1 / length;
+      out.z = nz / length;
+      return out;
+    }
+
+    // Angle from horizontal in radians (0 = flat, PI / 2 = vertical)
+    getSlopeAt(x, z) {
+      const normal = this.getNormalAt(x, z);
+      return normal && Math.acos(Math.min(1, normal.y));
+    }
+
+    // First hit of a ray with the surface, or null. Walks the cells under the
+    // ray's footprint (2D DDA) and tests both triangles of each.
+    raycast(origin, direction, maxDistance = Infinity) {
+      const o = toVector(origin);
+      const d = toVector(direction);
+      const length = Math.hypot(d[0], d[1], d[2]);
+      if (length === 0) return null;
+      for (let k = 0; k < 3; k++) d[k] /= length;
+
+      // Clip to the field's bounding box
+      const size = this.field.size;
+      const lo = [this.minX, this.minY, this.minZ];
+      const hi = [this.minX + size, this.maxY, this.minZ + size];
+      let tMin = 0;
+      let tMax = maxDistance;
+      for (let k = 0; k < 3; k++) {
+        if (Math.abs(d[k]) < 1e-12) {
+          if (o[k] < lo[k] || o[k] > hi[k]) return null;
+          continue;
+        }
+        const t1 = (lo[k] - o[k]) / d[k];
+        const t2 = (hi[k] - o[k]) / d[k];
+        tMin = Math.max(tMin, Math.min(t1, t2));
+        tMax = Math.min(tMax, Math.max(t1, t2));
+      }
+      if (tMin > tMax) return null;
+
+      const { step, resolution } = this;
+      const clampCell = (value) => Math.max(0, Math.min(resolution - 1, Math.floor(value)));
+      let ix = clampCell((o[0] + d[0] * tMin - this.minX) / step);
+      let iz = clampCell((o[2] + d[2] * tMin - this.minZ) / step);
+      const stepX = Math.sign(d[0]);
+      const stepZ = Math.sign(d[2]);
+      const deltaX = stepX ? step / Math.abs(d[0]) : Infinity;
+      const deltaZ = stepZ ? step / Math.abs(d[2]) : Infinity;
+      let nextX = stepX ? (this.minX + (ix + (stepX > 0 ? 1 : 0)) * step - o[0]) / d[0] : Infinity;
+      let nextZ = stepZ ? (this.minZ + (iz + (stepZ > 0 ? 1 : 0)) * step - o[2]) / d[2] : Infinity;
+
+      while (ix >= 0 && iz >= 0 && ix < resolution && iz < resolution) {
+        const t = this.intersectCell(ix, iz, o, d);
+        if (t !== null && t >= tMin - 1e-9 && t <= tMax) {
+          const point = [o[0] + d[0] * t, o[1] + d[1] * t, o[2] + d[2] * t];
+          return { point, distance: t, normal: this.getNormalAt(point[0], point[2]) };
+        }
+        if (Math.min(nextX, nextZ) > tMax) break;
+        if (nextX < nextZ) {
+          ix += stepX;
+          nextX += deltaX;
+        } else {
+          iz += stepZ;
+          nextZ += deltaZ;
+        }
+      }
+      return null;
+    }
+
+    // Nearest ray distance to either triangle of a cell, or null
+    intersectCell(ix, iz, o, d) {
+      const s = this.step;
+      const x0 = this.minX + ix * s;
+      const z0 = this.minZ + iz * s;
+      const a = [x0, this.y(ix, iz), z0];
+      const b = [x0, this.y(ix, iz + 1), z0 + s];
+      const c = [x0 + s, this.y(ix + 1, iz + 1), z0 + s];
+      const dd = [x0 + s, this.y(ix + 1, iz), z0];
+      const t1 = intersectTriangle(o, d, a, b, dd);
+      const t2 = intersectTriangle(o, d, b, c, dd);
+      if (t1 === null) return t2;
+      if (t2 === null) return t1;
+      return Math.min(t1, t2);
+    }
+  }
+
+  // Möller-Trumbore, double-sided; returns the ray distance or null
+  function intersectTriangle(o, d, a, b, c) {
+    const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    const p = [d[1] * e2[2] - d[2] * e2[1], d[2] * e2[0] - d[0] * e2[2], d[0] * e2[1] - d[1] * e2[0]];
+    const det = e1[0] * p[0] + e1[1] * p[1] + e1[2] * p[2];
+    if (Math.abs(det) < 1e-12) return null;
+    const inv = 1 / det;
+    const s = [o[0] - a[0], o[1] - a[1], o[2] - a[2]];
+    const u = (s[0] * p[0] + s[1] * p[1] + s[2] * p[2]) * inv;
+    if (u < -1e-9 || u > 1 + 1e-9) return null;
+    const q = [s[1] * e1[2] - s[2] * e1[1], s[2] * e1[0] - s[0] * e1[2], s[0] * e1[1] - s[1] * e1[0]];
+    const v = (d[0] * q[0] + d[1] * q[1] + d[2] * q[2]) * inv;
+    if (v < -1e-9 || u + v > 1 + 1e-9) return null;
+    const t = (e2[0] * q[0] + e2[1] * q[1] + e2[2] * q[2]) * inv;
+    return t >= 0 ? t : null;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // AMBIENT OCCLUSION - Horizon-based occlusion baked from the heightfield
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_AMBIENT_OCCLUSION = {
+    radius: 6,         // How far to look for occluders (world units)
+    directions: 8,     // Horizon directions per vertex
+    steps: 6,          // Samples along each direction
+    strength: 0.6,     // 0 = no darkening, 1 = full occlusion
+  };
+
+  // Per-vertex 0-1 light factor (1 = open sky). Each direction marches
+  // outward and keeps the steepest rise; the sine of that horizon angle is
+  // the share of sky it blocks. The field's border clamps the search, so
+  // occluders outside it are not seen.
+  function computeAmbientOcclusion(field, options = {}) {
+    const { radius, directions, steps, strength } = { ...DEFAULT_AMBIENT_OCCLUSION, ...options };
+    const { resolution, size, positions } = field;
+    const side = resolution + 1;
+    const cellRadius = radius / (size / resolution);
+    const occlusion = new Float32Array(side * side);
+
+    // Bilinear height in grid coordinates, clamped to the field
+    const heightAt = (u, v) => {
+      u = Math.max(0, Math.min(resolution, u));
+      v = Math.max(0, Math.min(resolution, v));
+      const ix = Math.min(Math.floor(u), resolution - 1);
+      const iz = Math.min(Math.floor(v), resolution - 1);
+      const fx = u - ix;
+      const fz = v - iz;
+      const y = (x, z) => positions[(z * side + x) * 3 + 1];
+      const top = y(ix, iz) + (y(ix + 1, iz) - y(ix, iz)) * fx;
+      const bottom = y(ix, iz + 1) + (y(ix + 1, iz + 1) - y(ix, iz + 1)) * fx;
+      return top + (bottom - top) * fz;
+    };
+
+    const dirs = [];
+    for (let d = 0; d < directions; d++) {
+      const angle = (d / directions) * Math.PI * 2;
+      dirs.push([Math.cos(angle), Math.sin(angle)]);
+    }
+
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        const i = iz * side + ix;
+        const y0 = positions[i * 3 + 1];
+        let blocked = 0;
+        for (const [dx, dz] of dirs) {
+          let horizon = 0;
+          for (let s = 1; s <= steps; s++) {
+            const t = (s / steps) * cellRadius;
+            const rise = (heightAt(ix + dx * t, iz + dz * t) - y0) / (t * size / resolution);
+            if (rise > horizon) horizon = rise;
+          }
+          blocked += horizon / Math.sqrt(1 + horizon * horizon);
+        }
+        occlusion[i] = Math.max(0, 1 - strength * blocked / directions);
+      }
+    }
+    return occlusion;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // CONTOURS - Marching-squares isolines for topographic maps
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_CONTOURS = {
+    interval: 0.1,        // Normalized height between lines
+    majorEvery: 5,        // Every Nth line (counting from 0) is major
+    labelSpacing: 12,     // Minimum world distance between labels on one line
+  };
+
+  // Edge pairs crossed by the isoline for each corner case; corners run
+  // (ix, iz), (ix+1, iz), (ix+1, iz+1), (ix, iz+1) and edge e joins corner e
+  // to corner e+1. Saddles (5, 10) are resolved by the cell centre.
+  const CONTOUR_CASES = [
+    [], [3, 0], [0, 1], [3, 1], [1, 2], null, [0, 2], [3, 2],
+    [2, 3], [0, 2], null, [1, 2], [1, 3], [0, 1], [3, 0], [],
+  ];
+
+  // Isolines of the field's displayed heights. Returns one entry per level,
+  // low to high: { level, elevation, major, segments, labels }. `segments`
+  // holds world-space x0, z0, x1, z1 runs; `labels` are [x, z] anchors on
+  // major lines at least `labelSpacing` apart.
+  function traceContours(field, options = {}) {
+    const { interval, majorEvery, labelSpacing } = { ...DEFAULT_CONTOURS, ...options };
+    const { heights, positions, resolution } = field;
+    const side = resolution + 1;
+    const byStep = new Map();
+    const corners = [0, 0, 0, 0];
+    const values = [0, 0, 0, 0];
+
+    for (let iz = 0; iz < resolution; iz++) {
+      for (let ix = 0; ix < resolution; ix++) {
+        corners[0] = iz * side + ix;
+        corners[1] = corners[0] + 1;
+        corners[2] = corners[0] + side + 1;
+        corners[3] = corners[0] + side;
+        let min = Infinity;
+        let max = -Infinity;
+        for (let c = 0; c < 4; c++) {
+          values[c] = heights[corners[c]];
+          min = Math.min(min, values[c]);
+          max = Math.max(max, values[c]);
+        }
+
+        for (let k = Math.ceil(min / interval); k * interval < max; k++) {
+          const level = k * interval;
+          let code = 0;
+          for (let c = 0; c < 4; c++) if (values[c] > level) code |= 1 << c;
+          let edges = CONTOUR_CASES[code];
+          if (!edges) {
+            const centreAbove = (values[0] + values[1] + values[2] + values[3]) / 4 > level;
+            edges = (code === 5) === centreAbove ? [0, 1, 2, 3] : [3, 0, 1, 2];
+          }
+          if (!edges.length) continue;
+
+          let segments = byStep.get(k);
+          if (!segments) byStep.set(k, (segments = []));
+          for (const e of edges) {
+            const a = corners[e];
+            const b = corners[(e + 1) % 4];
+            const t = (level - heights[a]) / (heights[b] - heights[a]);
+            segments.push(
+              positions[a * 3] + (positions[b * 3] - positions[a * 3]) * t,
+              positions[a * 3 + 2] + (positions[b * 3 + 2] - positions[a * 3 + 2]) * t
+            );
+          }
+        }
+      }
+    }
+
+    return [...byStep.keys()].sort((a, b) => a - b).map((k) => {
+      const segments = new Float32Array(byStep.get(k));
+      const major = k % majorEvery === 0;
+      const labels = [];
+      if (major) {
+        for (let i = 0; i < segments.length; i += 4) {
+          const x = (segments[i] + segments[i + 2]) / 2;
+          const z = (segments[i + 1] + segments[i + 3]) / 2;
+          if (labels.every(([lx, lz]) => Math.hypot(x - lx, z - lz) >= labelSpacing)) labels.push([x, z]);
+        }
+      }
+      const level = k * interval;
+      return { level, elevation: level * field.biome.heightScale, major, segments, labels };
+    });
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // PHYSICS COLLIDERS - Heightfield and trimesh descriptions for rapier / cannon-es
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  // Plain-data heightfield in rapier's layout: `rows` x `columns` cells,
+  // (rows + 1) * (columns + 1) world-space heights in column-major order
+  // (x-major), centred on `position` and spanning `scale.x` by `scale.z`.
+  // rapier splits cells along the same diagonal as the rendered mesh, so
+  // contacts happen exactly on the visible surface.
+  function createHeightfieldCollider(field) {
+    const { resolution, size, origin, positions } = field;
+    const side = resolution + 1;
+    const heights = new Float32Array(side * side);
+    for (let ix = 0; ix < side; ix++) {
+      for (let iz = 0; iz < side; iz++) {
+        heights[ix * side + iz] = positions[(iz * side + ix) * 3 + 1];
+      }
+    }
+    return {
+      type: 'heightfield',
+      rows: resolution,
+      columns: resolution,
+      heights,
+      scale: { x: size, y: 1, z: size },
+      elementSize: size / resolution,
+      position: [origin[0], 0, origin[1]],
+    };
+  }
+
+  // Exact copy of the rendered triangles, for engines without heightfields
+  function createTrimeshCollider(field) {
+    return {
+      type: 'trimesh',
+      vertices: new Float32Array(field.positions),
+      indices: new Uint32Array(field.index),
+      position: [0, 0, 0],
+    };
+  }
+
+  // cannon-es Heightfield options. cannon heights rise along local z from a
+  // corner; the quaternion ([x, y, z, w]) maps local x -> world z, y -> x and
+  // z -> y, which also lines its cell diagonals up with the rendered mesh.
+  function toCannonHeightfield(collider) {
+    const { rows, columns, heights, scale, elementSize, position } = collider;
+    const data = [];
+    for (let iz = 0; iz <= rows; iz++) {
+      const row = [];
+      for (let ix = 0; ix <= columns; ix++) row.push(heights[ix * (rows + 1) + iz]);
+      data.push(row);
+    }
+    return {
+      data,
+      elementSize,
+      position: [position[0] - scale.x / 2, position[1], position[2] - scale.z / 2],
+      quaternion: [-0.5, -0.5, -0.5, 0.5],
+    };
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // SCATTER - Seeded Poisson-disk placement of per-biome props
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  // Rule fields a biome's `scatter` entries may override. `height` is the
+  // normalized band on the owning biome's heightScale, `slope` is in degrees
+  // and `density` is the share of the density-noise field that is planted.
+  const DEFAULT_SCATTER_RULE = {
+    model: 'rock',
+    spacing: 4,              // Minimum distance between instances (world units)
+    height: [-1, 1],
+    slope: [0, 90],
+    density: 1,
+    noiseScale: 0.05,        // Frequency of the density noise
+    scale: [0.8, 1.3],
+    color: '#808080',
+    glow: false,
+  };
+
+  // Tiles are this many `spacing`s wide and seeded by their world coordinates,
+  // so placement never depends on the size, resolution or origin of a field
+  const SCATTER_TILE_SPACINGS = 8;
+  const POISSON_ATTEMPTS = 30;
+
+  function resolveScatterRule(rule) {
+    return { ...DEFAULT_SCATTER_RULE, ...rule };
+  }
+
+  // Bridson's algorithm inside one square tile. Each point carries a yaw and a
+  // 0-1 scale factor drawn as it is accepted: [x, z, yaw, scale].
+  function poissonTile(seed, tileX, tileZ, tileSize, spacing) {
+    const rng = new SeededRNG(`${seed}:${tileX}:${tileZ}`);
+    const x0 = tileX * tileSize;
+    const z0 = tileZ * tileSize;
+    const cell = spacing / Math.SQRT2;
+    const cells = Math.ceil(tileSize / cell);
+    const grid = new Int32Array(cells * cells).fill(-1);
+    const points = [];
+    const active = [];
+
+    const accept = (x, z) => {
+      grid[Math.floor((z - z0) / cell) * cells + Math.floor((x - x0) / cell)] = points.length;
+      active.push(points.length);
+      points.push([x, z, rng.range(0, Math.PI * 2), rng.next()]);
+    };
+
+    const fits = (x, z) => {
+      const cx = Math.floor((x - x0) / cell);
+      const cz = Math.floor((z - z0) / cell);
+      for (let gz = Math.max(0, cz - 2); gz <= Math.min(cells - 1, cz + 2); gz++) {
+        for (let gx = Math.max(0, cx - 2); gx <= Math.min(cells - 1, cx + 2); gx++) {
+          const p = grid[gz * cells + gx];
+          if (p >= 0 && Math.hypot(points[p][0] - x, points[p][1] - z) < spacing) return false;
+        }
+      }
+      return true;
+    };
+
+    accept(x0 + rng.next() * tileSize, z0 + rng.next() * tileSize);
+    while (active.length) {
+      const slot = Math.floor(rng.next() * active.length);
+      const [px, pz] = points[active[slot]];
+      let placed = false;
+      for (let k = 0; k < POISSON_ATTEMPTS; k++) {
+        const angle = rng.range(0, Math.PI * 2);
+        const radius = rng.range(spacing, spacing * 2);
+        const x = px + Math.cos(angle) * radius;
+        const z = pz + Math.sin(angle) * radius;
+        if (x < x0 || z < z0 || x >= x0 + tileSize || z >= z0 + tileSize) continue;
+        if (!fits(x, z)) continue;
+        accept(x, z);
+        placed = true;
+        break;
+      }
+      if (!placed) active.splice(slot, 1);
+    }
+    return points;
+  }
+
+  // Poisson-disk points of one rule covering a rectangle. Tiles are sampled
+  // independently; a point closer than `spacing` to a point of an earlier tile
+  // (row-major) is dropped, which keeps the whole plane gap-free and seamless.
+  function scatterPoints(seed, spacing, minX, minZ, maxX, maxZ) {
+    const tileSize = spacing * SCATTER_TILE_SPACINGS;
+    const tiles = new Map();
+    const tileAt = (tx, tz) => {
+      const key = `${tx}:${tz}`;
+      if (!tiles.has(key)) tiles.set(key, poissonTile(seed, tx, tz, tileSize, spacing));
+      return tiles.get(key);
+    };
+
+    const points = [];
+    for (let tz = Math.floor(minZ / tileSize); tz <= Math.floor(maxZ / tileSize); tz++) {
+      for (let tx = Math.floor(minX / tileSize); tx <= Math.floor(maxX / tileSize); tx++) {
+        const earlier = [tileAt(tx - 1, tz - 1), tileAt(tx, tz - 1), tileAt(tx + 1, tz - 1), tileAt(tx - 1, tz)];
+        for (const point of tileAt(tx, tz)) {
+          const [x, z] = point;
+          if (x < minX || z < minZ || x > maxX || z > maxZ) continue;
+          const clash = earlier.some((tile) => tile.some((q) => Math.hypot(q[0] - x, q[1] - z) < spacing));
+          if (!clash) points.push(point);
+        }
+      }
+    }
+    return points;
+  }
+
+  // Instances for every scatter rule that applies to a field. In world mode
+  // each member biome's rules only plant where that biome dominates. Returns
+  // one group per rule: { model, color, glow, biome, count, positions (xyz),
+  // rotations (yaw, radians), scales }. Heights and slopes are read from the
+  // rendered surface, so sculpted fields carry their props with them, and
+  // nothing is planted on roads (see applyRoads).
+  function scatterObjects(field, { rules = null, avoidRivers = 0.2 } = {}) {
+    const config = field.biome;
+    const seed = field.seed;
+    const map = config.world ? createBiomeMap(seed, config.world) : null;
+    const owners = rules ? [{ ...config, scatter: rules }] : map ? map.biomes : [config];
+    const sampler = new TerrainSampler(field);
+    const half = field.size / 2;
+    const [ox, oz] = field.origin;
+    const side = field.resolution + 1;
+    const step = field.size / field.resolution;
+    const groups = [];
+
+    for (const owner of owners) {
+      (owner.scatter || []).forEach((entry, index) => {
+        const rule = resolveScatterRule(entry);
+        const ruleSeed = `${seed}:scatter:${owner.name}:${index}`;
+        const noise = createTerrainNoise(ruleSeed);
+        const points = scatterPoints(ruleSeed, rule.spacing, ox - half, oz - half, ox + half, oz + half);
+        const minSlope = rule.slope[0] * Math.PI / 180;
+        const maxSlope = rule.slope[1] * Math.PI / 180;
+        const kept = [];
+
+        for (const point of points) {
+          const [x, z] = point;
+          if (map && map.biomeAt(x, z).name !== owner.name) continue;
+          const y = sampler.getHeightAt(x, z);
+          if (y === null) continue;
+          const height = y / owner.heightScale;
+          if (height < rule.height[0] || height > rule.height[1]) continue;
+          const slope = sampler.getSlopeAt(x, z);
+          if (slope < minSlope || slope > maxSlope) continue;
+          const plant = 0.5 + 0.5 * noise.fractalNoise(x * rule.noiseScale, z * rule.noiseScale, 2, 2.0, 0.5);
+          if (plant > rule.density) continue;
+          const ix = Math.round((x - ox + half) / step);
+          const iz = Math.round((z - oz + half) / step);
+          if (avoidRivers !== false && field.river && field.river[iz * side + ix] > avoidRivers) continue;
+          if (field.road && field.road[iz * side + ix] > 0) continue;
+          kept.push([x, y, z, point[2], point[3]]);
+        }
+
+        const count = kept.length;
+        const positions = new Float32Array(count * 3);
+        const rotations = new Float32Array(count);
+        const scales = new Float32Array(count);
+        kept.forEach(([x, y, z, yaw, t], i) => {
+          positions[i * 3] = x;
+          positions[i * 3 + 1] = y;
+          positions[i * 3 + 2] = z;
+          rotations[i] = yaw;
+          scales[i] = rule.scale[0] + (rule.scale[1] - rule.scale[0]) * t;
+        });
+        groups.push({
+          model: rule.model,
+          color: rule.color,
+          glow: rule.glow,
+          biome: owner.name,
+          count,
+          positions,
+          rotations,
+          scales,
+        });
+      });
+    }
+    return groups;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // POINTS OF INTEREST - Ranked landmark and settlement sites from terrain analysis
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_POI = {
+    radius: 4,            // Neighbourhood analysed around each sample (world units)
+    spacing: 4,           // Minimum distance between sites of any type
+    jitter: 0.05,         // Seeded tie-break added to scores when ranking
+    riverWater: 0.2,      // River mask strength that counts as water
+  };
+
+  // Each type scores an analysed sample 0-1 (0 rejects it). `height` is
+  // normalized and `slope` in degrees; `relief`, `prominence` and `depth`
+  // (neighbourhood range, rise and drop) are shares of the field's whole
+  // height range; `flatness` is the share of samples with more relief (1 =
+  // flattest in the field); `waterDistance` is world units to the nearest sea
+  // or river sample (Infinity when there is none).
+  const POI_TYPES = {
+    // Local maxima, ranked by how far they rise above their surroundings
+    peak: {
+      count: 5,
+      spacing: 12,
+      prominence: 0.25,   // Rise that scores 1
+      color: '#ffd54f',
+      glyph: '▲',
+      score: (s, rule) => (s.isMax && !s.wet ? s.prominence / rule.prominence : 0),
+    },
+
+    // Dry local minima, ranked by the height of the ground around them
+    valley: {
+      count: 5,
+      spacing: 12,
+      depth: 0.25,
+      color: '#81c784',
+      glyph: '▼',
+      score: (s, rule) => (s.isMin && !s.wet ? s.depth / rule.depth : 0),
+    },
+
+    // Flat high ground: mesas, tablelands, lookout ledges
+    plateau: {
+      count: 4,
+      spacing: 10,
+      minHeight: 0.2,
+      maxSlope: 45,
+      color: '#ba68c8',
+      glyph: '■',
+      score: (s, rule) => {
+        if (s.wet || s.height < rule.minHeight || s.slope > rule.maxSlope) return 0;
+        return s.flatness * (0.5 + 0.5 * (s.height - rule.minHeight) / (1 - rule.minHeight));
+      },
+    },
+
+    // Dry ground right at the water's edge, gentler first: harbours, fords
+    shoreline: {
+      count: 6,
+      spacing: 8,
+      reach: 2,           // Furthest distance from the water (world units)
+      color: '#4fc3f7',
+      glyph: '≈',
+      score: (s, rule) => {
+        if (s.wet || s.waterDistance > rule.reach) return 0;
+        return (0.5 + 0.5 * s.flatness) * (1 - 0.5 * s.waterDistance / rule.reach);
+      },
+    },
+
+    // Broad flat lowland, better near water: towns, camps, spawn points
+    settlement: {
+      count: 4,
+      spacing: 14,
+      maxHeight: 0.5,
+      maxSlope: 45,
+      waterReach: 10,     // Distance over which nearby water stops mattering
+      waterWeight: 0.4,
+      color: '#ff8a65',
+      glyph: '⌂',
+      score: (s, rule) => {
+        if (s.wet || s.height > rule.maxHeight || s.slope > rule.maxSlope) return 0;
+        const water = Math.exp(-s.waterDistance / rule.waterReach);
+        return s.flatness * (1 - rule.waterWeight) + water * rule.waterWeight;
+      },
+    },
+  };
+
+  // Adds or replaces a site type: { score(sample, rule), count, spacing,
+  // color, glyph, ... } where the extra fields are the type's own tunables
+  function registerPoiType(name, definition) {
+    if (typeof name !== 'string' || !name) throw new Error('POI type name must be a non-empty string');
+    if (!definition || typeof definition.score !== 'function') {
+      throw new Error(`POI type "${name}" needs a score function`);
+    }
+    POI_TYPES[name] = { count: 5, spacing: 10, color: '#ffffff', glyph: '●', ...definition };
+    return POI_TYPES[name];
+  }
+
+  // `types` is a list of type names, or an object of per-type overrides where
+  // `false` leaves a type out; omitted means every registered type
+  function resolvePoiRules(types) {
+    if (Array.isArray(types)) return types.map((name) => [name, POI_TYPES[name]]).filter(([, rule]) => rule);
+    return Object.keys(POI_TYPES)
+      .filter((name) => !types || types[name] !== false)
+      .map((name) => [name, { ...POI_TYPES[name], ...(types && types[name]) }]);
+  }
+
+  // World-unit distance from every sample to the nearest water sample, by a
+  // two-pass chamfer sweep over the grid (8-neighbour, exact along axes)
+  function waterDistanceField(wet, side, step) {
+    const distance = new Float64Array(side * side);
+    for (let i = 0; i < distance.length; i++) distance[i] = wet[i] ? 0 : Infinity;
+    const diagonal = step * Math.SQRT2;
+    const relax = (i, j, cost) => {
+      if (distance[j] + cost < distance[i]) distance[i] = distance[j] + cost;
+    };
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        const i = iz * side + ix;
+        if (ix > 0) relax(i, i - 1, step);
+        if (iz > 0) {
+          relax(i, i - side, step);
+          if (ix > 0) relax(i, i - side - 1, diagonal);
+          if (ix < side - 1) relax(i, i - side + 1, diagonal);
+        }
+      }
+    }
+    for (let iz = side - 1; iz >= 0; iz--) {
+      for (let ix = side - 1; ix >= 0; ix--) {
+        const i = iz * side + ix;
+        if (ix < side - 1) relax(i, i + 1, step);
+        if (iz < side - 1) {
+          relax(i, i + side, step);
+          if (ix < side - 1) relax(i, i + side + 1, diagonal);
+          if (ix > 0) relax(i, i + side - 1, diagonal);
+        }
+      }
+    }
+    return distance;
+  }
+
+  // Typed, ranked sites on a field's displayed surface, so sculpting moves
+  // them. Candidates of every type compete best-first: a site is kept when it
+  // is at least its type's `spacing` from sites of the same type and the
+  // global `spacing` from all others, until each type has `count`. Returns
+  // plain data, best first: { type, rank (1 = best of its type), score,
+  // position: [x, y, z], height, slope, waterDistance (null if dry), biome }.
+  function findPointsOfInterest(field, options = {}) {
+    const { radius, spacing, jitter, riverWater, types } = { ...DEFAULT_POI, ...options };
+    const { heights, positions, normals, resolution, river } = field;
+    const config = field.biome;
+    const side = resolution + 1;
+    const step = field.size / resolution;
+    const reach = Math.max(1, Math.round(radius / step));
+    const water = resolveWater(config);
+    const map = config.world ? createBiomeMap(field.seed, config.world) : null;
+    const rules = resolvePoiRules(types);
+
+    const wet = new Uint8Array(side * side);
+    for (let i = 0; i < wet.length; i++) {
+      wet[i] = (water && heights[i] <= water.level) || (river && river[i] > riverWater) ? 1 : 0;
+    }
+    const waterDistance = waterDistanceField(wet, side, step);
+
+    // Neighbourhood range, rise and drop of every sample. Extrema need the
+    // whole neighbourhood, so none are taken within `reach` of the border.
+    const count = side * side;
+    const low = new Float64Array(count);
+    const high = new Float64Array(count);
+    const extreme = new Uint8Array(count);   // 1 = maximum, 2 = minimum
+    let fieldMin = Infinity;
+    let fieldMax = -Infinity;
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        const i = iz * side + ix;
+        const h = heights[i];
+        let min = h;
+        let max = h;
+        let isMax = true;
+        let isMin = true;
+        for (let z = Math.max(0, iz - reach); z <= Math.min(side - 1, iz + reach); z++) {
+          for (let x = Math.max(0, ix - reach); x <= Math.min(side - 1, ix + reach); x++) {
+            const j = z * side + x;
+            const n = heights[j];
+            if (n < min) min = n;
+            if (n > max) max = n;
+            // Ties go to the first sample so a flat top yields one summit
+            if (n > h || (n === h && j < i)) isMax = false;
+            if (n < h || (n === h && j < i)) isMin = false;
+          }
+        }
+        const inside = ix >= reach && iz >= reach && ix < side - reach && iz < side - reach;
+        if (inside && max > min) extreme[i] = isMax ? 1 : isMin ? 2 : 0;
+        low[i] = min;
+        high[i] = max;
+        fieldMin = Math.min(fieldMin, h);
+        fieldMax = Math.max(fieldMax, h);
+      }
+    }
+    const range = fieldMax - fieldMin || 1;
+
+    // Flatness ranks relief across the field, so every terrain has candidates
+    const order = Array.from({ length: count }, (_, i) => i).sort((a, b) => (high[a] - low[a]) - (high[b] - low[b]));
+    const flatness = new Float64Array(count);
+    order.forEach((i, k) => { flatness[i] = 1 - k / Math.max(1, count - 1); });
+
+    const candidates = [];
+    const sample = {};
+    const rng = new SeededRNG(`${field.seed}:poi`);
+    for (let i = 0; i < count; i++) {
+      const h = heights[i];
+      sample.height = h;
+      sample.slope = Math.acos(Math.min(1, normals[i * 3 + 1])) * 180 / Math.PI;
+      sample.relief = (high[i] - low[i]) / range;
+      sample.prominence = (h - low[i]) / range;
+      sample.depth = (high[i] - h) / range;
+      sample.flatness = flatness[i];
+      sample.isMax = extreme[i] === 1;
+      sample.isMin = extreme[i] === 2;
+      sample.wet = wet[i] === 1;
+      sample.waterDistance = waterDistance[i];
+
+      for (let r = 0; r < rules.length; r++) {
+        const score = Math.min(1, rules[r][1].score(sample, rules[r][1]));
+        if (score > 0) candidates.push({ r, i, score, key: score + rng.next() * jitter });
+      }
+    }
+    candidates.sort((a, b) => b.key - a.key);
+
+    const sites = [];
+    const counts = rules.map(() => 0);
+    for (const { r, i, score } of candidates) {
+      const [type, rule] = rules[r];
+      if (counts[r] >= rule.count) continue;
+      const x = positions[i * 3];
+      const z = positions[i * 3 + 2];
+      const crowded = sites.some((site) => {
+        const gap = site.type === type ? Math.max(rule.spacing, spacing) : spacing;
+        return Math.hypot(site.position[0] - x, site.position[2] - z) < gap;
+      });
+      if (crowded) continue;
+      counts[r]++;
+      sites.push({
+        type,
+        rank: counts[r],
+        score,
+        position: [x, positions[i * 3 + 1], z],
+        height: heights[i],
+        slope: Math.acos(Math.min(1, normals[i * 3 + 1])) * 180 / Math.PI,
+        waterDistance: Number.isFinite(waterDistance[i]) ? waterDistance[i] : null,
+        biome: map ? map.biomeAt(x, z).name : config.name,
+      });
+    }
+    return sites;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // NAVIGATION - A* and Dijkstra over the height grid with slope-weighted costs
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_NAVIGATION = {
+    maxSlope: 55,         // Steeper steps are cliffs and impassable (degrees)
+    slopeCost: 4,         // Extra cost per unit of grade (rise over run)
+    avoidWater: true,     // Sea and river samples are impassable
+    riverWater: 0.2,      // River mask strength that counts as water
+    costMap: null,        // Optional per-sample cost multipliers (side * side)
+  };
+
+  // Neighbour offsets [dx, dz, run in steps], straight moves first
+  const NAVIGATION_MOVES = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [-1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, -1, Math.SQRT2],
+  ];
+
+  // Binary min-heap of (node, priority) with lazy deletion by the caller
+  class NodeHeap {
+    constructor() {
+      this.nodes = [];
+      this.priorities = [];
+    }
+
+    get size() {
+      return this.nodes.length;
+    }
+
+    push(node, priority) {
+      const { nodes, priorities } = this;
+      let i = nodes.length;
+      nodes.push(node);
+      priorities.push(priority);
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (priorities[parent] <= priority) break;
+        nodes[i] = nodes[parent];
+        priorities[i] = priorities[parent];
+        i = parent;
+      }
+      nodes[i] = node;
+      priorities[i] = priority;
+    }
+
+    pop() {
+      const { nodes, priorities } = this;
+      const top = nodes[0];
+      const lastNode = nodes.pop();
+      const last = priorities.pop();
+      if (nodes.length) {
+        let i = 0;
+        for (;;) {
+          let child = i * 2 + 1;
+          if (child >= nodes.length) break;
+          if (child + 1 < nodes.length && priorities[child + 1] < priorities[child]) child++;
+          if (priorities[child] >= last) break;
+          nodes[i] = nodes[child];
+          priorities[i] = priorities[child];
+          i = child;
+        }
+        nodes[i] = lastNode;
+        priorities[i] = last;
+      }
+      return top;
+    }
+  }
+
+  // Walkable graph over a field's samples; nodes are sample indices
+  // (iz * side + ix). A move costs its world length times (1 + slopeCost *
+  // grade), scaled by `costMap`; moves steeper than `maxSlope` and samples in
+  // water are impassable. Heights come from the displayed surface.
+  class TerrainNavigator {
+    constructor(field, options = {}) {
+      const settings = { ...DEFAULT_NAVIGATION, ...options };
+      this.field = field;
+      this.side = field.resolution + 1;
+      this.step = field.size / field.resolution;
+      this.minX = field.origin[0] - field.size / 2;
+      this.minZ = field.origin[1] - field.size / 2;
+      this.maxGrade = Math.tan(settings.maxSlope * Math.PI / 180);
+      this.slopeCost = settings.slopeCost;
+      this.costMap = settings.costMap;
+
+      const { heights, river } = field;
+      const water = settings.avoidWater ? resolveWater(field.biome) : null;
+      this.blocked = new Uint8Array(this.side * this.side);
+      if (settings.avoidWater) {
+        for (let i = 0; i < heights.length; i++) {
+          if ((water && heights[i] <= water.level) || (river && river[i] > settings.riverWater)) this.blocked[i] = 1;
+        }
+      }
+    }
+
+    // Nearest sample to a world position, or -1 outside the field
+    nodeAt(x, z) {
+      const ix = Math.round((x - this.minX) / this.step);
+      const iz = Math.round((z - this.minZ) / this.step);
+      if (ix < 0 || iz < 0 || ix >= this.side || iz >= this.side) return -1;
+      return iz * this.side + ix;
+    }
+
+    positionOf(node) {
+      const { positions } = this.field;
+      return [positions[node * 3], positions[node * 3 + 1], positions[node * 3 + 2]];
+    }
+
+    isPassable(x, z) {
+      const node = this.nodeAt(x, z);
+      return node >= 0 && !this.blocked[node];
+    }
+
+    // Cost of the move from `a` to its neighbour `b`, Infinity if impassable
+    moveCost(a, b, run) {
+      if (this.blocked[b]) return Infinity;
+      const { positions } = this.field;
+      const length = run * this.step;
+      const grade = Math.abs(positions[b * 3 + 1] - positions[a * 3 + 1]) / length;
+      if (grade > this.maxGrade) return Infinity;
+      const scale = this.costMap ? (this.costMap[a] + this.costMap[b]) / 2 : 1;
+      return length * (1 + this.slopeCost * grade) * scale;
+    }
+
+    // Shared A* / Dijkstra search from `sources`; stops early at `goal`
+    search(sources, goal = -1, maxCost = Infinity) {
+      const { side } = this;
+      const count = side * side;
+      const costs = new Float64Array(count).fill(Infinity);
+      const previous = new Int32Array(count).fill(-1);
+      const heap = new NodeHeap();
+      const gx = goal % side;
+      const gz = Math.floor(goal / side);
+      // Every move costs at least its length times the cheapest cost scale
+      let minScale = 1;
+      if (this.costMap) for (let i = 0; i < count; i++) minScale = Math.min(minScale, this.costMap[i]);
+      const heuristic = goal < 0
+        ? () => 0
+        : (node) => Math.hypot(node % side - gx, Math.floor(node / side) - gz) * this.step * minScale;
+
+      for (const node of sources) {
+        if (node < 0 || this.blocked[node]) continue;
+        costs[node] = 0;
+        heap.push(node, heuristic(node));
+      }
+      const done = new Uint8Array(count);
+      while (heap.size) {
+        const node = heap.pop();
+        if (done[node]) continue;
+        done[node] = 1;
+        if (node === goal) break;
+        const ix = node % side;
+        const iz = Math.floor(node / side);
+        for (const [dx, dz, run] of NAVIGATION_MOVES) {
+          const nx = ix + dx;
+          const nz = iz + dz;
+          if (nx < 0 || nz < 0 || nx >= side || nz >= side) continue;
+          const next = nz * side + nx;
+          if (done[next]) continue;
+          const cost = costs[node] + this.moveCost(node, next, run);
+          if (cost >= costs[next] || cost > maxCost) continue;
+          costs[next] = cost;
+          previous[next] = node;
+          heap.push(next, cost + heuristic(next));
+        }
+      }
+      return { costs, previous };
+    }
+
+    // Cheapest route between two world positions by A*, or null when either
+    // end is impassable or unreachable: { nodes, points ([x, y, z] per
+    // sample), cost, length (world units) }
+    findPath(from, to) {
+      const start = this.nodeAt(from[0], from[from.length - 1]);
+      const goal = this.nodeAt(to[0], to[to.length - 1]);
+      if (start < 0 || goal < 0 || this.blocked[start] || this.blocked[goal]) return null;
+      const { costs, previous } = this.search([start], goal);
+      if (costs[goal] === Infinity) return null;
+
+      const nodes = [];
+      for (let node = goal; node >= 0; node = previous[node]) nodes.push(node);
+      nodes.reverse();
+      const points = nodes.map((node) => this.positionOf(node));
+      let length = 0;
+      for (let k = 1; k < points.length; k++) {
+        length += Math.hypot(points[k][0] - points[k - 1][0], points[k][2] - points[k - 1][2]);
+      }
+      return { nodes, points, cost: costs[goal], length };
+    }
+
+    // Dijkstra cost from the nearest of one or more world positions to every
+    // sample (Infinity where unreachable or beyond `maxCost`), e.g. for
+    // reachable areas or flow fields
+    costsFrom(sources, maxCost = Infinity) {
+      const list = typeof sources[0] === 'number' ? [sources] : sources;
+      return this.search(list.map((p) => this.nodeAt(p[0], p[p.length - 1])), -1, maxCost).costs;
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // ROADS - Gentle-grade routes levelled into the heightfield and painted
+  // ═════════════════════════════════════════════════════════════════════════════
+  const DEFAULT_ROADS = {
+    width: 1,             // Half-width of the levelled bed (world units)
+    shoulder: 1.5,        // Blend distance from the bed back to the terrain
+    maxSlope: 45,         // Steepest ground a route may cross (degrees)
+    slopeCost: 12,
+    reuse: 0.4,           // Cost factor along earlier roads, so routes merge
+    smoothing: 3,         // Samples averaged either side when levelling
+    grade: 12,            // Steepest finished road; cuts and fills make up the rest
+    color: '#8d6e63',
+  };
+
+  // Legs to route: consecutive waypoints of each `routes` entry, then a
+  // minimum spanning tree (by straight distance) over `points`
+  function roadLegs({ points = [], routes = [] }) {
+    const legs = [];
+    for (const route of routes) {
+      for (let k = 1; k < route.length; k++) legs.push([route[k - 1], route[k]]);
+    }
+    if (points.length > 1) {
+      const joined = [0];
+      const best = points.map((p) => Math.hypot(p[0] - points[0][0], p[1] - points[0][1]));
+      const link = points.map(() => 0);
+      while (joined.length < points.length) {
+        let next = -1;
+        for (let i = 0; i < points.length; i++) {
+          if (!joined.includes(i) && (next < 0 || best[i] < best[next])) next = i;
+        }
+        joined.push(next);
+        legs.push([points[link[next]], points[next]]);
+        points.forEach((p, i) => {
+          const d = Math.hypot(p[0] - points[next][0], p[1] - points[next][1]);
+          if (!joined.includes(i) && d < best[i]) {
+            best[i] = d;
+            link[i] = next;
+          }
+        });
+      }
+    }
+    return legs;
+  }
+
+  // New field with roads routed between `points` and/or along `routes`
+  // ([x, z] waypoints), levelled into the base and painted into the colours.
+  // The input field is untouched; its sculpt layer is re-applied on top.
+  // `field.roads` lists { points (world xyz), length } per routed leg, plus
+  // the legs that could not be reached; `field.road` is a 0-1 mask per sample.
+  function applyRoads(field, options = {}) {
+    const settings = { ...DEFAULT_ROADS, ...options };
+    const { resolution, size, origin, base } = field;
+    const config = field.biome;
+    const side = resolution + 1;
+    const paddedSide = resolution + 3;
+    const step = size / resolution;
+    const costMap = new Float32Array(side * side).fill(1);
+    const navigator = new TerrainNavigator(field, {
+      maxSlope: settings.maxSlope,
+      slopeCost: settings.slopeCost,
+      costMap,
+    });
+
+    // Route each leg, then level it: heights averaged along the route, then
+    // limited to `grade` by clamping each point to its neighbours. Sweeps
+    // run both ways from both ends and are averaged, so neither end is
+    // favoured. Points already on an earlier road keep that road's height,
+    // so junctions meet flush.
+    const rise = Math.tan(settings.grade * Math.PI / 180);
+    const levels = new Float64Array(side * side).fill(NaN);
+    const limitGrade = (ys, runs, fixed, forwardFirst) => {
+      const last = ys.length - 1;
+      for (let sweep = 0; sweep < 8; sweep++) {
+        let moved = false;
+        for (let n = 0; n < 2; n++) {
+          const forward = (n === 0) === forwardFirst;
+          for (let m = 1; m <= last; m++) {
+            const k = forward ? m : last - m;
+            const j = forward ? k - 1 : k + 1;
+            if (fixed[k]) continue;
+            const limit = runs[Math.max(k, j)] * rise;
+            const y = Math.max(ys[j] - limit, Math.min(ys[j] + limit, ys[k]));
+            if (y !== ys[k]) moved = true;
+            ys[k] = y;
+          }
+        }
+        if (!moved) break;
+      }
+      return ys;
+    };
+    const paths = [];
+    const unreached = [];
+    for (const [from, to] of roadLegs(settings)) {
+      const path = navigator.findPath(from, to);
+      if (!path) {
+        unreached.push([from, to]);
+        continue;
+      }
+      for (const node of path.nodes) costMap[node] = settings.reuse;
+      const { points } = path;
+      const last = points.length - 1;
+      const smoothed = points.map((_, k) => {
+        let sum = 0;
+        let n = 0;
+        for (let j = Math.max(0, k - settings.smoothing); j <= Math.min(last, k + settings.smoothing); j++) {
+          sum += points[j][1];
+          n++;
+        }
+        return sum / n;
+      });
+      // runs[k] is the world length from point k - 1 to point k
+      const runs = points.map((p, k) => (k ? Math.hypot(p[0] - points[k - 1][0], p[2] - points[k - 1][2]) : 0));
+      const fixed = path.nodes.map((node) => !Number.isNaN(levels[node]));
+      path.nodes.forEach((node, k) => { if (fixed[k]) smoothed[k] = levels[node]; });
+      const a = limitGrade([...smoothed], runs, fixed, true);
+      const b = limitGrade([...smoothed], runs, fixed, false);
+      const levelled = points.map(([x, , z], k) => [x, (a[k] + b[k]) / 2, z]);
+      path.nodes.forEach((node, k) => { if (!fixed[k]) levels[node] = levelled[k][1]; });
+      paths.push({ points: levelled, length: path.length });
+    }
+
+    // Blend every sample near a route towards the levelled route height
+    const carved = new Float64Array(base);
+    const road = new Float32Array(side * side);
+    const distance = new Float64Array(paddedSide * paddedSide).fill(Infinity);
+    const target = new Float64Array(paddedSide * paddedSide);
+    const reach = settings.width + settings.shoulder;
+    const left = origin[0] - (1 + resolution / 2) * step;
+    const top = origin[1] - (1 + resolution / 2) * step;
+    for (const { points } of paths) {
+      for (let k = 0; k < points.length; k++) {
+        const [ax, ay, az] = points[k];
+        const [bx, by, bz] = points[Math.min(k + 1, points.length - 1)];
+        const dx = bx - ax;
+        const dz = bz - az;
+        const lengthSq = dx * dx + dz * dz;
+        const px0 = Math.max(0, Math.floor((Math.min(ax, bx) - reach - left) / step));
+        const px1 = Math.min(paddedSide - 1, Math.ceil((Math.max(ax, bx) + reach - left) / step));
+        const pz0 = Math.max(0, Math.floor((Math.min(az, bz) - reach - top) / step));
+        const pz1 = Math.min(paddedSide - 1, Math.ceil((Math.max(az, bz) + reach - top) / step));
+        for (let pz = pz0; pz <= pz1; pz++) {
+          for (let px = px0; px <= px1; px++) {
+            const x = left + px * step;
+            const z = top + pz * step;
+            const t = lengthSq ? Math.max(0, Math.min(1, ((x - ax) * dx + (z - az) * dz) / lengthSq)) : 0;
+            const d = Math.hypot(x - ax - dx * t, z - az - dz * t);
+            const p = pz * paddedSide + px;
+            if (d < distance[p]) {
+              distance[p] = d;
+              target[p] = (ay + (by - ay) * t) / config.heightScale;
+            }
+          }
+        }
+      }
+    }
+    for (let pz = 0; pz < paddedSide; pz++) {
+      for (let px = 0; px < paddedSide; px++) {
+        const p = pz * paddedSide + px;
+        const d = distance[p];
+        if (d >= reach) continue;
+        const s = d <= settings.width ? 1 : 1 - (d - settings.width) / settings.shoulder;
+        carved[p] += (target[p] - carved[p]) * s * s * (3 - 2 * s);
+        const ix = px - 1;
+        const iz = pz - 1;
+        if (ix >= 0 && iz >= 0 && ix < side && iz < side) {
+          road[iz * side + ix] = Math.max(0, Math.min(1, 1 - (d - settings.width) / step));
+        }
+      }
+    }
+
+    const paved = {
+      ...field,
+      base: carved,
+      road,
+      roads: { color: settings.color, width: settings.width, paths, unreached },
+    };
+    const source = createHeightSource({ seed: field.seed, biome: config, world: config.world, generator: field.generator });
+    return Object.assign(paved, buildSurface(paved, source, field.sculpt));
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // CHUNKS - World-space tiles for infinite terrain
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  // Chunk (0, 0) is centred on the world origin, like a single ProceduralTerrain
+  function chunkOrigin(chunkX, chunkZ, chunkSize) {
+    return [chunkX * chunkSize, chunkZ * chunkSize];
+  }
+
+  function worldToChunk(x, z, chunkSize) {
+    return [Math.round(x / chunkSize), Math.round(z / chunkSize)];
+  }
+
+  // Chunks sample the global height function, so shared edges match exactly
+  function generateChunk({
+    seed = 'default-terrain-seed',
+    biome = 'grassland',
+    chunkX = 0,
+    chunkZ = 0,
+    chunkSize = 50,
+    resolution = 32,
+    world = null,
+  } = {}) {
+    const field = generateHeightfield(chunkFieldOptions({ seed, biome, chunkX, chunkZ, chunkSize, resolution, world }));
+    field.chunkX = chunkX;
+    field.chunkZ = chunkZ;
+    return field;
+  }
+
+  // generateHeightfield options for a chunk, for callers handing it to workers
+  function chunkFieldOptions({
+    seed = 'default-terrain-seed',
+    biome = 'grassland',
+    chunkX = 0,
+    chunkZ = 0,
+    chunkSize = 50,
+    resolution = 32,
+    world = null,
+  }) {
+    return { seed, biome, world, resolution, size: chunkSize, origin: chunkOrigin(chunkX, chunkZ, chunkSize) };
+  }
+
+  // Least-recently-used store of generated chunks (Map keeps insertion order)
+  // Config objects are keyed by their full JSON, computed once per object
+  const biomeCacheKeys = new WeakMap();
+
+  function biomeCacheKey(biome) {
+    let key = biomeCacheKeys.get(biome);
+    if (key === undefined) {
+      key = JSON.stringify(biomeToJSON(biome));
+      biomeCacheKeys.set(biome, key);
+    }
+    return key;
+  }
+
+  class ChunkCache {
+    constructor(maxEntries = 256) {
+      this.maxEntries = maxEntries;
+      this.entries = new Map();
+    }
+
+    // Registry keys (and worlds, which name them) carry the registry revision,
+    // so re-registering a biome never serves chunks built from the old one
+    key({ seed, biome = 'grassland', world, chunkX, chunkZ, chunkSize = 50, resolution = 32 }) {
+      const biomeKey = world
+        ? `${JSON.stringify(world)}#${biomeRevision}`
+        : typeof biome === 'object' ? biomeCacheKey(biome) : `${biome}#${biomeRevision}`;
+      return `${seed}|${biomeKey}|${chunkX}|${chunkZ}|${chunkSize}|${resolution}`;
+    }
+
+    get(options) {
+      const key = this.key(options);
+      return this.store(key, this.entries.get(key) || generateChunk(options));
+    }
+
+    // The cached chunk or null, never generating
+    peek(options) {
+      const key = this.key(options);
+      const field = this.entries.get(key);
+      return field ? this.store(key, field) : null;
+    }
+
+    // The finest cached copy of the same chunk at any resolution, e.g. a
+    // coarser LOD to show while the requested one is generated
+    peekAnyResolution(options) {
+      const key = this.key(options);
+      const prefix = key.slice(0, key.lastIndexOf('|') + 1);
+      let best = null;
+      for (const [other, field] of this.entries) {
+        if (other.startsWith(prefix) && (!best || field.resolution > best.resolution)) best = field;
+      }
+      return best;
+    }
+
+    // Generates a missing chunk on a TerrainWorkerPool and caches it. Returns
+    // { promise, cancel } like TerrainWorkerPool.generate.
+    load(options, pool = getSharedWorkerPool()) {
+      const cached = this.peek(options);
+      if (cached) return { promise: Promise.resolve(cached), cancel: () => {} };
+
+      const job = pool.generate(chunkFieldOptions(options));
+      const promise = job.promise.then((field) => {
+        field.chunkX = options.chunkX ?? 0;
+        field.chunkZ = options.chunkZ ?? 0;
+        return this.store(this.key(options), field);
+      });
+      return { promise, cancel: job.cancel };
+    }
+
+    has(options) {
+      return this.entries.has(this.key(options));
+    }
+
+    // Inserts or refreshes an entry as most recent, evicting the oldest
+    store(key, field) {
+      this.entries.delete(key);
+      this.entries.set(key, field);
+      while (this.entries.size > this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+      return field;
+    }
+
+    clear() {
+      this.entries.clear();
+    }
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // LEVEL OF DETAIL - Distance bands and crack-hiding skirts
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  // Chunks closer than `distance` (world units) use `resolution`
+  const DEFAULT_LOD_BANDS = [
+    { distance: 75, resolution: 32 },
+    { distance: 150, resolution: 16 },
+    { distance: Infinity, resolution: 8 },
+  ];
+
+  function selectLodResolution(distance, bands = DEFAULT_LOD_BANDS) {
+    for (const band of bands) {
+      if (distance < band.distance) return band.resolution;
+    }
+    return bands[bands.length - 1].resolution;
+  }
+
+  // Border vertex indices as one closed loop around the grid
+  function gridPerimeter(resolution) {
+    const side = resolution + 1;
+    const loop = [];
+    for (let ix = 0; ix < resolution; ix++) loop.push(ix);
+    for (let iz = 0; iz < resolution; iz++) loop.push(iz * side + resolution);
+    for (let ix = resolution; ix > 0; ix--) loop.push(resolution * side + ix);
+    for (let iz = resolution; iz > 0; iz--) loop.push(iz * side);
+    return loop;
+  }
+
+  // Appends a vertical curtain hanging `depth` units below the patch border.
+  // Neighbouring patches at different resolutions disagree between shared
+  // vertices; the skirt fills that gap so no background shows through.
+  function buildSkirtedMesh(field, depth) {
+    const { positions, normals, colors, index, resolution } = field;
+    const loop = gridPerimeter(resolution);
+    const base = positions.length / 3;
+    const total = base + loop.length;
+
+    const outPositions = new Float32Array(total * 3);
+    const outNormals = new Float32Array(total * 3);
+    const outColors = new Float32Array(total * 3);
+    outPositions.set(positions);
+    outNormals.set(normals);
+    outColors.set(colors);
+
+    loop.forEach((v, k) => {
+      const o = (base + k) * 3;
+      for (let c = 0; c < 3; c++) {
+        outPositions[o + c] = positions[v * 3 + c];
+        outNormals[o + c] = normals[v * 3 + c];
+        outColors[o + c] = colors[v * 3 + c];
+      }
+      outPositions[o + 1] -= depth;
+    });
+
+    const IndexArray = total > 65535 ? Uint32Array : Uint16Array;
+    const outIndex = new IndexArray(index.length + loop.length * 6);
+    outIndex.set(index);
+    let k = index.length;
+    for (let i = 0; i < loop.length; i++) {
+      const next = (i + 1) % loop.length;
+      const top0 = loop[i];
+      const top1 = loop[next];
+      const bottom0 = base + i;
+      const bottom1 = base + next;
+      outIndex[k++] = top0; outIndex[k++] = bottom0; outIndex[k++] = top1;
+      outIndex[k++] = bottom0; outIndex[k++] = bottom1; outIndex[k++] = top1;
+    }
+
+    return { positions: outPositions, normals: outNormals, colors: outColors, index: outIndex };
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // EXPORT - Heightmaps and meshes for engines, DCC tools and 3D printers
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  // Every exporter is a pure function of the field, so the same seed + biome +
+  // resolution always produces byte-identical files
+
+  function exportFileName(field, extension) {
+    const name = `${field.seed}-${field.biome.name}-${field.resolution}`;
+    return `${name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-')}.${extension}`;
+  }
+
+  // Normalized heights mapped to 0-65535 over `range` (default: the full -1..1)
+  function heightmapSamples(field, range = [-1, 1]) {
+    const [min, max] = range;
+    const samples = new Uint16Array(field.heights.length);
+    for (let i = 0; i < samples.length; i++) {
+      const t = (field.heights[i] - min) / (max - min);
+      samples[i] = Math.round(Math.max(0, Math.min(1, t)) * 65535);
+    }
+    return samples;
+  }
+
+  // Headerless 16-bit grayscale, row 0 at -Z. Little-endian matches the
+  // "Windows" byte order Unity and Unreal expect for .raw/.r16 imports.
+  function exportHeightmapRAW(field, { range, littleEndian = true } = {}) {
+    const samples = heightmapSamples(field, range);
+    const bytes = new Uint8Array(samples.length * 2);
+    const view = new DataView(bytes.buffer);
+    samples.forEach((value, i) => view.setUint16(i * 2, value, littleEndian));
+    return bytes;
+  }
+
+  let crcTable = null;
+
+  function crc32(bytes, start, end) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = start; i < end; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // zlib stream made of uncompressed deflate blocks: larger than a real
+  // deflater's output, but tiny to implement and readable by every decoder
+  function zlibStore(data) {
+    const blocks = Math.max(1, Math.ceil(data.length / 65535));
+    const out = new Uint8Array(2 + blocks * 5 + data.length + 4);
+    const view = new DataView(out.buffer);
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let o = 2;
+    for (let b = 0; b < blocks; b++) {
+      const start = b * 65535;
+      const length = Math.min(65535, data.length - start);
+      out[o] = b === blocks - 1 ? 1 : 0;
+      view.setUint16(o + 1, length, true);
+      view.setUint16(o + 3, ~length & 0xFFFF, true);
+      out.set(data.subarray(start, start + length), o + 5);
+      o += 5 + length;
+    }
+    let a = 1;
+    let s = 0;
+    for (let i = 0; i < data.length; i++) {
+      a = (a + data[i]) % 65521;
+      s = (s + a) % 65521;
+    }
+    view.setUint32(o, ((s << 16) | a) >>> 0);
+    return out;
+  }
+
+  // 16-bit grayscale PNG, one pixel per vertex
+  function exportHeightmapPNG(field, { range } = {}) {
+    const side = field.resolution + 1;
+    const samples = heightmapSamples(field, range);
+
+    // Each scanline starts with filter type 0; PNG samples are big-endian
+    const raw = new Uint8Array(side * (1 + side * 2));
+    for (let y = 0; y < side; y++) {
+      const row = y * (1 + side * 2);
+      for (let x = 0; x < side; x++) {
+        const value = samples[y * side + x];
+        raw[row + 1 + x * 2] = value >> 8;
+        raw[row + 2 + x * 2] = value & 0xFF;
+      }
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, side);
+    headerView.setUint32(4, side);
+    header[8] = 16; // Bit depth
+    header[9] = 0;  // Grayscale
+
+    const chunks = [['IHDR', header], ['IDAT', zlibStore(raw)], ['IEND', new Uint8Array(0)]];
+    const length = 8 + chunks.reduce((sum, [, data]) => sum + 12 + data.length, 0);
+    const png = new Uint8Array(length);
+    const view = new DataView(png.buffer);
+    png.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+    let o = 8;
+    for (const [type, data] of chunks) {
+      view.setUint32(o, data.length);
+      for (let c = 0; c < 4; c++) png[o + 4 + c] = type.charCodeAt(c);
+      png.set(data, o + 8);
+      view.setUint32(o + 8 + data.length, crc32(png, o + 4, o + 8 + data.length));
+      o += 12 + data.length;
+    }
+    return png;
+  }
+
+  // Wavefront OBJ with per-vertex colours (`v x y z r g b`), read by
+  // Blender, MeshLab and most DCC importers
+  function exportOBJ(field) {
+    const { positions, normals, colors, index } = field;
+    const round = (value) => +value.toFixed(5);
+    const lines = [
+      `# ProceduralTerrain-JSX seed=${field.seed} biome=${field.biome.name} resolution=${field.resolution}`,
+      'o terrain',
+    ];
+    for (let i = 0; i < positions.length; i += 3) {
+      lines.push(`v ${round(positions[i])} ${round(positions[i + 1])} ${round(positions[i + 2])} ` +
+        `${round(colors[i])} ${round(colors[i + 1])} ${round(colors[i + 2])}`);
+    }
+    for (let i = 0; i < normals.length; i += 3) {
+      lines.push(`vn ${round(normals[i])} ${round(normals[i + 1])} ${round(normals[i + 2])}`);
+    }
+    for (let i = 0; i < index.length; i += 3) {
+      const a = index[i] + 1;
+      const b = index[i + 1] + 1;
+      const c = index[i + 2] + 1;
+      lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  // glTF 2.0 document plus its single binary buffer
+  function buildGltf(field) {
+    const { positions, normals, colors, index } = field;
+    const vertexCount = positions.length / 3;
+    const attributes = [positions, normals, colors];
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i++) {
+      min[i % 3] = Math.min(min[i % 3], positions[i]);
+      max[i % 3] = Math.max(max[i % 3], positions[i]);
+    }
+
+    // Views are 4-byte aligned; a Uint16 index buffer may need padding
+    const align = (n) => (n + 3) & ~3;
+    const arrays = [...attributes, index];
+    const offsets = [];
+    let byteLength = 0;
+    for (const array of arrays) {
+      offsets.push(byteLength);
+      byteLength += align(array.byteLength);
+    }
+    const bin = new Uint8Array(byteLength);
+    arrays.forEach((array, i) => {
+      bin.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offsets[i]);
+    });
+
+    const json = {
+      asset: { version: '2.0', generator: 'ProceduralTerrain-JSX' },
+      scene: 0,
+      scenes: [{ nodes: [0] }],
+      nodes: [{ name: 'terrain', mesh: 0 }],
+      meshes: [{
+        name: field.biome.name,
+        primitives: [{
+          attributes: { POSITION: 0, NORMAL: 1, COLOR_0: 2 },
+          indices: 3,
+          material: 0,
+        }],
+      }],
+      materials: [{
+        name: 'terrain',
+        pbrMetallicRoughness: { metallicFactor: 0, roughnessFactor: 1 },
+        doubleSided: true,
+      }],
+      accessors: [
+        { bufferView: 0, componentType: 5126, count: vertexCount, type: 'VEC3', min, max },
+        { bufferView: 1, componentType: 5126, count: vertexCount, type: 'VEC3' },
+        { bufferView: 2, componentType: 5126, count: vertexCount, type: 'VEC3' },
+        {
+          bufferView: 3,
+          componentType: index instanceof Uint32Array ? 5125 : 5123,
+          count: index.length,
+          type: 'SCALAR',
+        },
+      ],
+      bufferViews: arrays.map((array, i) => ({
+        buffer: 0,
+        byteOffset: offsets[i],
+        byteLength: array.byteLength,
+        target: i < attributes.length ? 34962 : 34963,
+      })),
+      buffers: [{ byteLength }],
+    };
+    return { json, bin };
+  }
+
+  const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  function toBase64(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+      const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+      out += BASE64[(n >> 18) & 63] + BASE64[(n >> 12) & 63] +
+        (i + 1 < bytes.length ? BASE64[(n >> 6) & 63] : '=') +
+        (i + 2 < bytes.length ? BASE64[n & 63] : '=');
+    }
+    return out;
+  }
+
+  // Self-contained .gltf with the buffer embedded as a data URI
+  function exportGLTF(field) {
+    const { json, bin } = buildGltf(field);
+    json.buffers[0].uri = `data:application/octet-stream;base64,${toBase64(bin)}`;
+    return JSON.stringify(json);
+  }
+
+  // Binary .glb: 12-byte header, JSON chunk, BIN chunk
+  function exportGLB(field) {
+    const { json, bin } = buildGltf(field);
+    const text = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = (text.length + 3) & ~3;
+    const total = 12 + 8 + jsonLength + 8 + bin.length;
+
+    const glb = new Uint8Array(total);
+    const view = new DataView(glb.buffer);
+    view.setUint32(0, 0x46546C67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+    glb.fill(0x20, 20, 20 + jsonLength);   // JSON chunk is padded with spaces
+    glb.set(text, 20);
+    view.setUint32(20 + jsonLength, bin.length, true);
+    view.setUint32(24 + jsonLength, 0x004E4942, true); // 'BIN'
+    glb.set(bin, 28 + jsonLength);
+    return glb;
+  }
+
+  // Binary STL of a closed, printable solid: the terrain surface, walls down
+  // to a flat base `base` units below the lowest point, and the base itself.
+  // Converted to Z-up with the base on z = 0, in world units.
+  function exportSTL(field, { base = 1 } = {}) {
+    const { resolution, positions, index } = field;
+    const side = resolution + 1;
+    const loop = gridPerimeter(resolution);
+
+    let minY = Infinity;
+    for (let i = 1; i < positions.length; i += 3) minY = Math.min(minY, positions[i]);
+    const floor = minY - base;
+
+    const triangles = index.length / 3 * 2 + loop.length * 2;
+    const stl = new Uint8Array(84 + triangles * 50);
+    const view = new DataView(stl.buffer);
+    const header = `ProceduralTerrain-JSX ${field.seed} ${field.biome.name} ${resolution}`.slice(0, 80);
+    for (let c = 0; c < header.length; c++) stl[c] = header.charCodeAt(c) & 0x7F;
+    view.setUint32(80, triangles, true);
+
+    // Y-up (x, y, z) -> Z-up (x, -z, y - floor), a rotation so winding holds
+    const top = (v) => [positions[v * 3], -positions[v * 3 + 2], positions[v * 3 + 1] - floor];
+    const bottom = (v) => [positions[v * 3], -positions[v * 3 + 2], 0];
+
+    let o = 84;
+    const writeTriangle = (a, b, c) => {
+      const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+      const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+      let nx = uy * vz - uz * vy;
+      let ny = uz * vx - ux * vz;
+      let nz = ux * vy - uy * vx;
+      const length = Math.hypot(nx, ny, nz) || 1;
+      nx /= length; ny /= length; nz /= length;
+      for (const value of [nx, ny, nz, ...a, ...b, ...c]) {
+        view.setFloat32(o, value, true);
+        o += 4;
+      }
+      o += 2; // Attribute byte count
+    };
+
+    for (let i = 0; i < index.length; i += 3) {
+      writeTriangle(top(index[i]), top(index[i + 1]), top(index[i + 2]));
+    }
+
+    // Walls face outward around the perimeter loop
+    for (let i = 0; i < loop.length; i++) {
+      const v0 = loop[i];
+      const v1 = loop[(i + 1) % loop.length];
+      writeTriangle(top(v0), top(v1), bottom(v0));
+      writeTriangle(top(v1), bottom(v1), bottom(v0));
+    }
+
+    // Base reuses the surface grid, reversed to face down, so every wall
+    // edge meets a base edge and the solid stays watertight
+    for (let i = 0; i < index.length; i += 3) {
+      writeTriangle(bottom(index[i]), bottom(index[i + 2]), bottom(index[i + 1]));
+    }
+
+    return stl;
+  }
+
+  const EXPORT_FORMATS = {
+    png: { extension: 'png', mimeType: 'image/png', write: exportHeightmapPNG },
+    raw: { extension: 'raw', mimeType: 'application/octet-stream', write: exportHeightmapRAW },
+    obj: { extension: 'obj', mimeType: 'text/plain', write: exportOBJ },
+    gltf: { extension: 'gltf', mimeType: 'model/gltf+json', write: exportGLTF },
+    glb: { extension: 'glb', mimeType: 'model/gltf-binary', write: exportGLB },
+    stl: { extension: 'stl', mimeType: 'model/stl', write: exportSTL },
+  };
+
+  // Returns { data, fileName, mimeType }; data is a string or Uint8Array
+  function exportTerrain(field, format, options) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      const known = Object.keys(EXPORT_FORMATS).join(', ');
+      throw new Error(`Unknown export format "${format}" (expected one of ${known})`);
+    }
+    return {
+      data: exporter.write(field, options),
+      fileName: exportFileName(field, exporter.extension),
+      mimeType: exporter.mimeType,
+    };
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // WORLD FILES - Versioned descriptors for files, localStorage and URL hashes
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  // Bump whenever a change alters the heights or colours a seed produces, and
+  // keep the old behaviour reachable behind `generator` so saved worlds
+  // stamped with an older version still regenerate identically
+  const GENERATOR_VERSION = 2;   // 2: world-space rivers, typed noise on presets
+
+  const WORLD_FORMAT = 'procedural-terrain-world';
+  const WORLD_FORMAT_VERSION = 1;
+  const WORLD_STORAGE_PREFIX = 'procedural-terrain:world:';
+
+  // Built-in presets are saved by key; custom or replaced biomes are embedded
+  const BUILT_IN_BIOMES = { ...BIOMES };
+
+  function describeBiome(biome) {
+    if (typeof biome === 'string') {
+      return !isBiomeKey(biome) || BIOMES[biome] === BUILT_IN_BIOMES[biome] ? biome : biomeToJSON(biome);
+    }
+    const key = Object.keys(BUILT_IN_BIOMES).find((k) => BUILT_IN_BIOMES[k] === biome);
+    return key || biomeToJSON(biome);
+  }
+
+  const readBiome = (biome) => (typeof biome === 'string' ? biome : biomeFromJSON(biome));
+
+  // FNV-1a over the generated heights, as 8 hex digits
+  function hashHeightfield(field) {
+    const bytes = new Uint8Array(field.heights.buffer, field.heights.byteOffset, field.heights.byteLength);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) hash = Math.imul(hash ^ bytes[i], 0x01000193);
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  // Everything needed to regenerate a terrain: the generateHeightfield
+  // options, sculpt edits and an optional free-form `view` for the app's own
+  // display settings. Pass the generated field to record a checksum; the
+  // field's own generator is stamped so the checksum can always be verified.
+  // Imported heightmaps are binary and are not included.
+  function createWorldDescriptor({
+    seed = 'default-terrain-seed',
+    biome = 'grassland',
+    world = null,
+    resolution = 64,
+    size = 50,
+    erosion,
+    rivers,
+    sculpt = null,
+    generator = GENERATOR_VERSION,
+    view,
+  } = {}, field = null) {
+    const layer = sculpt && resolveSculpt(sculpt);
+    const descriptor = {
+      format: WORLD_FORMAT,
+      version: WORLD_FORMAT_VERSION,
+      generator: field && field.generator !== undefined ? field.generator : generator,
+      seed,
+      biome: describeBiome(biome),
+      world: world && { ...world, ...(world.biomes && { biomes: world.biomes.map(describeBiome) }) },
+      resolution,
+      size,
+    };
+    if (erosion !== undefined) descriptor.erosion = erosion;
+    if (rivers !== undefined) descriptor.rivers = rivers;
+    if (layer && !layer.isEmpty) descriptor.sculpt = layer.toJSON();
+    if (view !== undefined) descriptor.view = view;
+    if (field) descriptor.checksum = hashHeightfield(field);
+    return descriptor;
+  }
+
+  // Descriptor (object or JSON string) back to generateHeightfield options,
+  // with embedded biomes validated and `sculpt` as a SculptLayer
+  function readWorldDescriptor(input) {
+    const descriptor = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!descriptor || descriptor.format !== WORLD_FORMAT) {
+      throw new Error(`Not a world file (expected format "${WORLD_FORMAT}")`);
+    }
+    if (!(descriptor.version <= WORLD_FORMAT_VERSION)) {
+      throw new Error(`World file version ${descriptor.version} is newer than this build supports (${WORLD_FORMAT_VERSION})`);
+    }
+    const generator = descriptor.generator ?? 1;
+    if (generator > GENERATOR_VERSION) {
+      throw new Error(`World was made by generator ${generator}; this build has generator ${GENERATOR_VERSION}`);
+    }
+
+    const { seed, biome = 'grassland', world, resolution = 64, size = 50, erosion, rivers, sculpt, view, checksum } = descriptor;
+    return {
+      seed,
+      biome: readBiome(biome),
+      world: world ? { ...world, ...(world.biomes && { biomes: world.biomes.map(readBiome) }) } : null,
+      resolution,
+      size,
+      erosion,
+      rivers,
+      sculpt: sculpt ? SculptLayer.fromJSON(sculpt) : null,
+      generator,
+      view,
+      checksum,
+    };
+  }
+
+  // True when `field` matches the checksum the descriptor was saved with
+  // (or the descriptor has none)
+  function verifyWorld(descriptor, field) {
+    return !descriptor.checksum || descriptor.checksum === hashHeightfield(field);
+  }
+
+  function serializeWorld(descriptor) {
+    return JSON.stringify(descriptor, null, 2);
+  }
+
+  // URL-safe base64 of the compact JSON, as "world=..." for a location hash
+  function encodeWorldHash(descriptor) {
+    const bytes = new TextEncoder().encode(JSON.stringify(descriptor));
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return `world=${btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+  }
+
+  // Descriptor from "#world=..." (or the bare parameter); null when absent
+  function decodeWorldHash(hash) {
+    const match = /(?:^#?|&)world=([\w-]+)/.exec(hash || '');
+    if (!match) return null;
+    const binary = atob(match[1].replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  function saveWorldToStorage(name, descriptor, storage = globalThis.localStorage) {
+    storage.setItem(WORLD_STORAGE_PREFIX + name, JSON.stringify(descriptor));
+  }
+
+  // Stored descriptor, or null when nothing is saved under `name`
+  function loadWorldFromStorage(name, storage = globalThis.localStorage) {
+    const json = storage.getItem(WORLD_STORAGE_PREFIX + name);
+    return json ? JSON.parse(json) : null;
+  }
+
+  function listStoredWorlds(storage = globalThis.localStorage) {
+    const names = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key.startsWith(WORLD_STORAGE_PREFIX)) names.push(key.slice(WORLD_STORAGE_PREFIX.length));
+    }
+    return names.sort();
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════════
+  // WORKER POOL - Off-main-thread generation with transferable buffers
+  // ═════════════════════════════════════════════════════════════════════════════
+
+  // The worker evaluates this very factory, so it needs no separate script URL
+  function createWorkerSource() {
+    return `const TerrainCore = (${terrainCoreFactory.toString()})();
+self.onmessage = function (event) {
+  const { id, options } = event.data;
+  try {
+    const field = TerrainCore.generateHeightfield(options);
+    const transfer = [
+      field.heights, field.positions, field.colors, field.river, field.normals, field.index, field.base,
+    ].map((array) => array.buffer);
+    self.postMessage({ id, field }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};`;
+  }
+
+  // Workers run their own copy of the core, so biomes registered on this
+  // thread are sent as configs rather than keys
+  function resolveJobOptions(options) {
+    const { biome, world } = options;
+    return {
+      ...options,
+      biome: resolveBiome(biome),
+      world: world && { ...world, biomes: resolveWorld(world).biomes },
+    };
+  }
+
+  function createCancelError() {
+    const error = new Error('Terrain generation cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  class TerrainWorkerPool {
+    static isSupported() {
+      return typeof Worker !== 'undefined' &&
+        typeof Blob !== 'undefined' &&
+        typeof URL !== 'undefined' &&
+        typeof URL.createObjectURL === 'function';
+    }
+
+    constructor(size) {
+      const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2;
+      this.size = size || Math.max(1, Math.min(4, cores - 1));
+      this.workers = [];
+      this.idle = [];
+      this.queue = [];
+      this.running = new Map();
+      this.nextId = 1;
+      this.url = null;
+    }
+
+    // Returns { promise, cancel }. Cancelled jobs reject with an AbortError;
+    // queued ones never start, running ones have their result discarded.
+    generate(options) {
+      const job = { id: this.nextId++, options, settled: false };
+      job.promise = new Promise((resolve, reject) => {
+        job.resolve = (field) => { job.settled = true; resolve(field); };
+        job.reject = (error) => { job.settled = true; reject(error); };
+      });
+
+      if (TerrainWorkerPool.isSupported()) {
+        job.options = resolveJobOptions(options);
+        this.queue.push(job);
+        this.pump();
+      } else {
+        // No workers (Node, SSR): generate on the next tick instead
+        Promise.resolve().then(() => {
+          if (job.settled) return;
+          try {
+            job.resolve(generateHeightfield(options));
+          } catch (error) {
+            job.reject(error);
+          }
+        });
+      }
+
+      return { promise: job.promise, cancel: () => this.cancel(job) };
+    }
+
+    cancel(job) {
+      if (job.settled) return;
+      const queued = this.queue.indexOf(job);
+      if (queued !== -1) this.queue.splice(queued, 1);
+      job.reject(createCancelError());
+    }
+
+    spawn() {
+      if (!this.url) {
+        const blob = new Blob([createWorkerSource()], { type: 'text/javascript' });
+        this.url = URL.createObjectURL(blob);
+      }
+      const worker = new Worker(this.url);
+      worker.onmessage = (event) => this.finish(worker, event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        this.fail(worker, new Error(event.message || 'Terrain worker failed'));
+      };
+      this.workers.push(worker);
+      return worker;
+    }
+
+    pump() {
+      while (this.queue.length && (this.idle.length || this.workers.length < this.size)) {
+        const worker = this.idle.pop() || this.spawn();
+        const job = this.queue.shift();
+        this.running.set(worker, job);
+        worker.postMessage({ id: job.id, options: job.options });
+      }
+    }
+
+    finish(worker, data) {
+      const job = this.running.get(worker);
+      this.running.delete(worker);
+      this.idle.push(worker);
+
+      if (job && !job.settled) {
+        if (data.error) job.reject(new Error(data.error));
+        else job.resolve(data.field);
+      }
+      this.pump();
+    }
+
+    // A crashed worker is replaced lazily by the next pump()
+    fail(worker, error) {
+      const job = this.running.get(worker);
+      this.running.delete(worker);
+      this.workers = this.workers.filter((w) => w !== worker);
+      worker.terminate();
+
+      if (job && !job.settled) job.reject(error);
+      this.pump();
+    }
+
+    terminate() {
+      this.queue.forEach((job) => job.reject(createCancelError()));
+      this.running.forEach((job) => { if (!job.settled) job.reject(createCancelError()); });
+      this.workers.forEach((worker) => worker.terminate());
+      this.queue = [];
+      this.running.clear();
+      this.workers = [];
+      this.idle = [];
+      if (this.url) URL.revokeObjectURL(this.url);
+      this.url = null;
+    }
+  }
+
+  let sharedWorkerPool = null;
+
+  function getSharedWorkerPool() {
+    if (!sharedWorkerPool) sharedWorkerPool = new TerrainWorkerPool();
+    return sharedWorkerPool;
+  }
+
+  return {
+    SeededRNG,
+    SeededNoise,
+    BIOMES,
+    BIOME_TYPES,
+    hexToRGB,
+    parseColor,
+    colorToCSS,
+    resolveBiome,
+    validateBiome,
+    createBiome,
+    biomeToJSON,
+    biomeFromJSON,
+    registerBiome,
+    unregisterBiome,
+    onBiomesChanged,
+    lerpColor,
+    getVertexColor,
+    DEFAULT_NOISE,
+    NOISE_TYPES,
+    registerNoiseType,
+    createTerrainNoise,
+    sampleTerrainHeight,
+    HEIGHT_GRAPH_NODES,
+    validateHeightGraph,
+    compileHeightGraph,
+    DEFAULT_WORLD,
+    createBiomeMap,
+    createWorldConfig,
+    createHeightSource,
+    DEFAULT_HEIGHTMAP,
+    createHeightmapSampler,
+    decodeHeightmapRAW,
+    decodeHeightmapPNG,
+    decodeHeightmap,
+    buildGridIndex,
+    computeGridNormals,
+    generateHeightfield,
+    SCULPT_TOOLS,
+    DEFAULT_BRUSH,
+    SculptLayer,
+    sampleBaseHeight,
+    applySculpt,
+    DEFAULT_LIVING,
+    blendSurfaces,
+    LivingTerrain,
+    TerrainSampler,
+    DEFAULT_AMBIENT_OCCLUSION,
+    computeAmbientOcclusion,
+    DEFAULT_CONTOURS,
+    traceContours,
+    createHeightfieldCollider,
+    createTrimeshCollider,
+    toCannonHeightfield,
+    DEFAULT_SCATTER_RULE,
+    scatterObjects,
+    DEFAULT_POI,
+    POI_TYPES,
+    registerPoiType,
+    findPointsOfInterest,
+    DEFAULT_NAVIGATION,
+    TerrainNavigator,
+    DEFAULT_ROADS,
+    applyRoads,
+    DEFAULT_HYDRAULIC_EROSION,
+    DEFAULT_THERMAL_EROSION,
+    applyErosion,
+    DEFAULT_WATER,
+    DEFAULT_RIVERS,
+    resolveWater,
+    carveRivers,
+    getSurfaceColors,
+    chunkOrigin,
+    worldToChunk,
+    generateChunk,
+    ChunkCache,
+    DEFAULT_LOD_BANDS,
+    selectLodResolution,
+    buildSkirtedMesh,
+    EXPORT_FORMATS,
+    exportHeightmapRAW,
+    exportHeightmapPNG,
+    exportOBJ,
+    exportGLTF,
+    exportGLB,
+    exportSTL,
+    exportTerrain,
+    GENERATOR_VERSION,
+    hashHeightfield,
+    createWorldDescriptor,
+    readWorldDescriptor,
+    verifyWorld,
+    serializeWorld,
+    encodeWorldHash,
+    decodeWorldHash,
+    saveWorldToStorage,
+    loadWorldFromStorage,
+    listStoredWorlds,
+    TerrainWorkerPool,
+    getSharedWorkerPool,
+  };
+});